@@ -0,0 +1,69 @@
+/*
+ * Service worker for the ntfy client. It shows Web Push notifications sent by the
+ * ntfy server while the app is closed, and opens the app on the clicked message.
+ */
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+// Returns true when a window of the app is visible; it shows its own notifications then.
+const hasVisibleClient = async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    return windows.some(client => client.visibilityState === 'visible');
+};
+
+self.addEventListener('push', (event) => {
+    event.waitUntil((async () => {
+        let payload;
+        try {
+            payload = event.data.json();
+        } catch (error) {
+            console.error('Failed to parse push payload', error);
+            return;
+        }
+
+        if (payload.event === 'subscription_expiring') {
+            await self.registration.showNotification('ntfy notifications are about to stop', {
+                body: 'Open the app to keep receiving background notifications.',
+                icon: '/icon.svg',
+                tag: 'subscription-expiring',
+            });
+            return;
+        }
+
+        const message = payload.message;
+        if (payload.event !== 'message' || !message?.id || await hasVisibleClient()) return;
+
+        // The message id as tag replaces a notification the page may already have shown.
+        await self.registration.showNotification(message.title || `New message on topic: ${message.topic}`, {
+            body: message.message,
+            icon: message.icon || '/icon.svg',
+            tag: message.id,
+            data: { topic: message.topic, id: message.id },
+        });
+    })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { topic, id } = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows.find(w => new URL(w.url).origin === self.location.origin);
+        if (client) {
+            await client.focus();
+            if (topic) client.postMessage({ type: 'notification-click', topic, id });
+            return;
+        }
+        const url = new URL('/', self.location.origin);
+        if (topic) url.searchParams.set('topic', topic);
+        if (id) url.searchParams.set('message', id);
+        await self.clients.openWindow(url.toString());
+    })());
+});
@@ -1,6 +1,38 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import AiReport from './components/AiReport.jsx';
+import AiSettings from './components/AiSettings.jsx';
+import { formatBytes } from './components/Attachment.jsx';
+import Diagnostics from './components/Diagnostics.jsx';
+import DraftSuggestion from './components/DraftSuggestion.jsx';
+import FilterBar from './components/FilterBar.jsx';
+import ImportExport from './components/ImportExport.jsx';
+import MessageCard from './components/MessageCard.jsx';
+import NotificationRules from './components/NotificationRules.jsx';
+import PublishOptions from './components/PublishOptions.jsx';
+import RetentionSettings from './components/RetentionSettings.jsx';
+import SendHistory from './components/SendHistory.jsx';
+import ServerProfileForm from './components/ServerProfileForm.jsx';
+import Templates from './components/Templates.jsx';
+import { fieldClassName, inputClassName } from './components/styles.js';
+import { evaluateRules, getRules, isSilenced } from './notificationRules.js';
+import { DEFAULT_SERVER, TOPIC_REGEX, createProfile, loadProfiles } from './profiles.js';
+import { createId, readStorage } from './storage.js';
+import { isDue, parseSchedule } from './schedule.js';
+import { createTemplate } from './templates.js';
+import { DEFAULT_AI_SETTINGS, PROVIDERS, generateText, isAiEnabled } from './ai.js';
+import { HISTORY_FORMATS, applyShareLink, buildShareLink, downloadFile, exportConfig, exportHistory, mergeProfiles, parseConfig, parseHistory, readShareLink } from './importExport.js';
+import { MAX_PROMPT_MESSAGES, buildDraftPrompt, buildSummaryPrompt, buildTriagePrompt, getWindowStart, parseDraft, selectMessages } from './aiPrompts.js';
+import { playSound } from './sounds.js';
+import { DEFAULT_RETENTION, PAGE_SIZE, addMessage, applyRetention, clearTopic, countUnreadMessages, deleteMessage, findMessages, getClearedAt, getMessages, getPinnedMessages, markTopicRead, updateMessage } from './messageStore.js';
+import { getTransportLabel } from './transports.js';
+import { isWebPushSupported, updateWebPushTopics } from './webPush.js';
+import { getFilterTimeRange, isFilterEmpty, matchesFilter, readFilterFromQuery, sortMessages, writeFilterToUrl } from './filters.js';
+import { DEFAULT_PUBLISH_OPTIONS } from './publish.js';
+import { isUnauthorizedStatus } from './ntfyClient.js';
+import { useNtfyClient, usePublish, useTopicStreams } from './hooks.js';
+import { showUnreadCount } from './unreadBadge.js';
 
-// A simple modal component for displaying the summary.
+// A simple modal component for displaying the summary and triage.
 const Modal = ({ children, onClose }) => (
     <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4" onClick={onClose}>
         <div className="bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-lg relative" onClick={e => e.stopPropagation()}>
@@ -17,78 +49,199 @@ const Modal = ({ children, onClose }) => (
 );
 
 /**
- * A component that renders text and automatically converts URLs into clickable links.
- * @param {{text: string}} props - The component props.
+ * A form to edit the credentials used for one server: none, an access token,
+ * or a username and password.
+ * @param {{server: string, auth: object|undefined, onSave: function}} props - The component props.
  */
-const ClickableMessage = ({ text }) => {
-    // Regex to find URLs in a string. It looks for http, https, or www protocols.
-    const urlRegex = /(https?:\/\/[^\s]+|www\.[^\s]+)/g;
-    const parts = text.split(urlRegex);
+const CredentialsForm = ({ server, auth, onSave }) => {
+    const [type, setType] = useState(auth?.type || 'none');
+    const [token, setToken] = useState(auth?.token || '');
+    const [username, setUsername] = useState(auth?.username || '');
+    const [password, setPassword] = useState(auth?.password || '');
+
+    // Reset the draft when switching to a server with different stored credentials.
+    useEffect(() => {
+        setType(auth?.type || 'none');
+        setToken(auth?.token || '');
+        setUsername(auth?.username || '');
+        setPassword(auth?.password || '');
+    }, [auth]);
+
+    const handleSave = () => {
+        if (type === 'token') {
+            onSave(token.trim() ? { type, token: token.trim() } : null);
+        } else if (type === 'basic') {
+            onSave(username.trim() ? { type, username: username.trim(), password } : null);
+        } else {
+            onSave(null);
+        }
+    };
 
     return (
-        <p className="text-gray-300 break-words whitespace-pre-wrap">
-            {parts.map((part, index) => {
-                if (part && part.match(urlRegex)) {
-                    // Prepend https:// if the URL starts with www. for it to be a valid link.
-                    const href = part.startsWith('www.') ? `https://${part}` : part;
-                    return (
-                        <a
-                            key={index}
-                            href={href}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-blue-400 hover:text-blue-300 underline"
-                        >
-                            {part}
-                        </a>
-                    );
-                }
-                return part;
-            })}
-        </p>
+        <div className="mt-6">
+            <h3 className="text-lg font-medium text-gray-300 mb-2">Credentials for {server || 'this server'}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                <select value={type} onChange={(e) => setType(e.target.value)} className={inputClassName} aria-label="Authentication method">
+                    <option value="none">No authentication</option>
+                    <option value="token">Access token</option>
+                    <option value="basic">Username &amp; password</option>
+                </select>
+                {type === 'token' && (
+                    <input type="password" value={token} onChange={(e) => setToken(e.target.value)} className={`${inputClassName} md:col-span-2`} placeholder="tk_..." autoComplete="off" />
+                )}
+                {type === 'basic' && (
+                    <>
+                        <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} className={inputClassName} placeholder="Username" autoComplete="username" />
+                        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClassName} placeholder="Password" autoComplete="current-password" />
+                    </>
+                )}
+            </div>
+            <div className="flex items-center justify-between mt-2">
+                <p className="text-xs text-gray-500">Credentials are stored in this browser only.</p>
+                <button onClick={handleSave} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm">Save Credentials</button>
+            </div>
+        </div>
     );
 };
 
+// The value of `activeView` when the combined timeline of all topics is shown.
+const ALL_TOPICS = '';
+
+// How many past publishes the send history keeps.
+const MAX_SEND_HISTORY = 100;
+// Raw stream events kept per topic for the diagnostics panel.
+const MAX_EVENT_LOG = 50;
+// Matches of a filter listed per topic, newest first, and how long typing pauses before searching.
+const MAX_SEARCH_RESULTS = 500;
+const SEARCH_DELAY = 250;
 
 /**
  * Main App Component for the ntfy.sh client.
  *
  * This component provides a full-featured UI to interact with a ntfy server,
- * now enhanced with Gemini API features for message generation and summarization.
- * This version uses a robust `fetch` streaming implementation for receiving notifications
- * and persists message history to localStorage. It is ready for web deployment.
+ * optionally enhanced with an AI provider for message generation and summarization.
+ * Every enabled subscription gets its own stream from the client in `ntfyClient.js`, which
+ * also polls and publishes, and received messages are
+ * shown in a combined timeline or filtered per topic. Message history is persisted
+ * to IndexedDB and loaded page by page. Servers are kept as profiles with their own
+ * topics, credentials and history, and one of them is connected at a time.
+ * It is ready for web deployment.
  */
 const App = () => {
-    const [server, setServer] = useState('https://ntfy.sh');
-    const [topic, setTopic] = useState(() => {
-        try {
-            const storedTopic = localStorage.getItem('ntfy-latest-topic');
-            return storedTopic || 'your-topic-here';
-        } catch (error) {
-            console.error("Failed to load latest topic from localStorage", error);
-            return 'your-topic-here';
-        }
-    });
-    const [messages, setMessages] = useState([]);
+    // Topics to subscribe to from a shared link, see `buildShareLink`.
+    const [sharedTopics] = useState(() => readShareLink(window.location.search));
+    // The server profiles, see `loadProfiles`, and the id of the one that is connected.
+    const [profiles, setProfiles] = useState(() => applyShareLink(loadProfiles(), sharedTopics));
+    const [activeProfileId, setActiveProfileId] = useState(() => readStorage('ntfy-active-server', null));
+    const [newTopic, setNewTopic] = useState('');
+    // A topic or filter in the URL (a bookmarked or shared view) wins over the stored view.
+    const [initialQuery] = useState(() => readFilterFromQuery(window.location.search));
+    const [activeView, setActiveView] = useState(() => initialQuery.topic ?? readStorage('ntfy-active-view', ALL_TOPICS));
+    const [filter, setFilter] = useState(initialQuery.filter);
+    // The loaded part of the message history keyed by topic, newest first.
+    const [messagesByTopic, setMessagesByTopic] = useState({});
+    // Whether a topic has older messages in the store that aren't loaded yet.
+    const [hasOlderByTopic, setHasOlderByTopic] = useState({});
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+    // Whether everything the server still has cached for a topic was already fetched.
+    const [polledAllByTopic, setPolledAllByTopic] = useState({});
+    // The pinned messages keyed by topic, newest first, including ones not loaded in `messagesByTopic`.
+    const [pinnedByTopic, setPinnedByTopic] = useState({});
+    // The messages of the viewed topics in the store that match the filter, see `searchHistory`.
+    const [searchResults, setSearchResults] = useState(null);
+    // The number of unread messages keyed by topic, counted in the store and kept up to date in between.
+    const [unreadByTopic, setUnreadByTopic] = useState({});
+    // The message picked with the keyboard (j/k), which the other shortcuts act on.
+    const [selectedMessageId, setSelectedMessageId] = useState(null);
+    // Connection state keyed by topic: { connected, error, retryAt, unauthorized, transport, lastKeepalive,
+    // reconnects, latency, failedAt, failureStatus }.
+    const [connections, setConnections] = useState({});
+    // The latest raw stream events keyed by topic, newest first: { time, frame }.
+    const [eventLogs, setEventLogs] = useState({});
+    // Ticks every second while a reconnect is pending, to drive the countdown.
+    const [now, setNow] = useState(Date.now);
+    const [publishTopic, setPublishTopic] = useState('');
     const [newTitle, setNewTitle] = useState('');
     const [newMessage, setNewMessage] = useState('');
-    const [connected, setConnected] = useState(false);
+    const [publishOptions, setPublishOptions] = useState(DEFAULT_PUBLISH_OPTIONS);
+    const [showPublishOptions, setShowPublishOptions] = useState(false);
+    const [sendStatus, setSendStatus] = useState(null);
+    const [attachmentFile, setAttachmentFile] = useState(null);
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
     const [errorInfo, setErrorInfo] = useState(null);
+    // The message to scroll to, e.g. after a notification was clicked.
+    const [focusedMessageId, setFocusedMessageId] = useState(() => new URLSearchParams(window.location.search).get('message'));
     const [isGenerating, setIsGenerating] = useState(false);
-    const [summary, setSummary] = useState('');
-    const [isSummaryModalOpen, setIsSummaryModalOpen] = useState(false);
-    const [previousTopics, setPreviousTopics] = useState(() => {
-        try {
-            const storedTopics = localStorage.getItem('ntfy-previous-topics');
-            return storedTopics ? JSON.parse(storedTopics) : [];
-        } catch (error) {
-            console.error("Failed to load previous topics from localStorage", error);
-            return [];
-        }
-    });
+    // The ✨ summary or triage shown in the modal, `{ mode, window, text, messages }`, or null.
+    const [aiReport, setAiReport] = useState(null);
+    // The ✨ drafted notification waiting to be used, see `parseDraft`, or null.
+    const [draft, setDraft] = useState(null);
+    // Publish templates, see `createTemplate`.
+    const [templates, setTemplates] = useState(() => readStorage('ntfy-templates', []));
+    // Recurring sends: { id, server, name, cron, topic, title, message, priority, tags, enabled, lastRun }.
+    const [recurring, setRecurring] = useState(() => readStorage('ntfy-recurring', []));
+    // Past publishes, newest first: { id, server, topic, title, message, options, attachment, sentAt, time }.
+    const [sendHistory, setSendHistory] = useState(() => readStorage('ntfy-send-history', []));
+    // Delayed messages waiting on the server, or null until they are loaded.
+    const [scheduledMessages, setScheduledMessages] = useState(null);
+    // The AI provider behind the ✨ features, see `DEFAULT_AI_SETTINGS`.
+    const [aiSettings, setAiSettings] = useState(() => ({ ...DEFAULT_AI_SETTINGS, ...readStorage('ntfy-ai', {}) }));
+
+    // The stream loop reads the active view through a ref so it doesn't have to restart on view changes.
+    const activeViewRef = useRef(activeView);
+    // Ids of every message loaded or received, used to drop duplicates before they reach state.
+    const seenIdsRef = useRef(new Set());
+    const fileInputRef = useRef(null);
+    const messageInputRef = useRef(null);
+    // Aborts the running AI request.
+    const aiRequestRef = useRef(null);
+    // Id of the newest message per topic, sent as `since=` so reconnects backfill what was missed.
+    const lastIdsRef = useRef(new Map());
+    // Resolves per topic once the first page of its stored history is loaded into state.
+    const historyReadyRef = useRef(new Map());
 
-    // useRef to hold the AbortController for cancellable fetch requests.
-    const abortControllerRef = useRef(null);
+    const profile = profiles.find(p => p.id === activeProfileId) || profiles[0];
+    const server = profile.url;
+    const cleanServer = server.replace(/\/$/, '');
+    const serverAuth = profile.auth;
+    const serverTransport = profile.transport || 'auto';
+    const subscriptions = profile.subscriptions;
+    // History retention settings keyed by topic, see `DEFAULT_RETENTION`.
+    const retention = Object.fromEntries(subscriptions.filter(sub => sub.retention).map(sub => [sub.topic, sub.retention]));
+    // Notification rules keyed by topic, see `DEFAULT_RULES`.
+    const notificationRules = Object.fromEntries(subscriptions.filter(sub => sub.rules).map(sub => [sub.topic, sub.rules]));
+
+    // The server whose history is loaded; async results for any other server are dropped.
+    const serverRef = useRef(cleanServer);
+    // The retention settings, read when a topic's history is first loaded.
+    const retentionRef = useRef(retention);
+    // The notification rules, read by the stream callbacks without restarting them.
+    const notificationRulesRef = useRef(notificationRules);
+
+    /**
+     * Applies `changes` to the active profile, either as an object or as a function
+     * of the current profile.
+     */
+    const updateProfile = (changes) => {
+        setProfiles(prev => prev.map(p => (p.id === profile.id ? { ...p, ...(typeof changes === 'function' ? changes(p) : changes) } : p)));
+    };
+
+    const setSubscriptions = (update) => {
+        updateProfile(p => ({ subscriptions: update(p.subscriptions) }));
+    };
+
+    const aiEnabled = isAiEnabled(aiSettings);
+    const client = useNtfyClient({ server: cleanServer, auth: serverAuth, transport: serverTransport });
+    // `uploadProgress` is the fraction of the attachment uploaded so far, or null when no upload is running.
+    const { publish, isSending, progress: uploadProgress } = usePublish(client);
+
+    const enabledTopics = subscriptions.filter(sub => sub.enabled).map(sub => sub.topic);
+    const enabledTopicsKey = enabledTopics.join(',');
+    // Muted topics are left out, since the service worker doesn't know the notification rules.
+    const webPushTopicsKey = subscriptions
+        .filter(sub => sub.enabled && sub.webPush && !getRules(notificationRules[sub.topic]).muted)
+        .map(sub => sub.topic)
+        .join(',');
 
     // Request notification permission on component mount
     useEffect(() => {
@@ -105,173 +258,674 @@ const App = () => {
         }
     }, []);
 
+    const updateConnection = useCallback((topic, connected, error, { retryAt = null, unauthorized = false, ...details } = {}) => {
+        setConnections(prev => ({ ...prev, [topic]: { ...prev[topic], ...details, connected, error, retryAt, unauthorized } }));
+    }, []);
+
+    const logEvent = useCallback((topic, frame) => {
+        setEventLogs(prev => ({ ...prev, [topic]: [{ time: Date.now(), frame }, ...(prev[topic] || [])].slice(0, MAX_EVENT_LOG) }));
+    }, []);
+
+    // Whether a message arriving now for `topic` is seen right away, i.e. it shows in the view the user is looking at.
+    const isInView = useCallback((topic) => {
+        const view = activeViewRef.current;
+        return !document.hidden && (view === ALL_TOPICS || view === topic);
+    }, []);
+
+    // Changes the unread count of a topic by `delta`, e.g. when a message is read or deleted.
+    const adjustUnread = useCallback((topic, delta) => {
+        setUnreadByTopic(prev => ({ ...prev, [topic]: Math.max(0, (prev[topic] || 0) + delta) }));
+    }, []);
+
+    // Counts the unread messages of a topic in the store again.
+    const refreshUnread = useCallback(async (topic) => {
+        const unread = await countUnreadMessages(cleanServer, topic);
+        if (serverRef.current === cleanServer) setUnreadByTopic(prev => ({ ...prev, [topic]: unread }));
+    }, [cleanServer]);
+
     /**
-     * The `subscribe` function establishes a connection to the ntfy server
-     * using the `fetch` API to manually read the newline-delimited JSON stream.
+     * Adds a received message to the history of its topic and, as the topic's notification
+     * rules decide, persists it, raises a desktop notification and plays a sound.
+     * Messages that were already seen or stored are ignored.
      */
-    const subscribe = useCallback(async () => {
-        if (abortControllerRef.current) {
-            abortControllerRef.current.abort();
-        }
+    const handleIncomingMessage = useCallback((server, topic, parsedData) => {
+        // Ignore messages from a stream of the previous server that hasn't stopped yet, and duplicates.
+        if (serverRef.current !== server || seenIdsRef.current.has(parsedData.id)) return;
+        seenIdsRef.current.add(parsedData.id);
+        lastIdsRef.current.set(topic, parsedData.id);
 
-        if (!topic.trim()) {
-            setConnected(false);
-            setErrorInfo('Topic cannot be empty.');
-            return;
-        }
+        // A message is unread unless it arrives in the view the user is looking at.
+        const read = isInView(topic);
+        const message = { ...parsedData, server, topic: parsedData.topic || topic, read };
+        const { notify, store, sound } = evaluateRules(message, notificationRulesRef.current[topic]);
+        const stored = store ? addMessage(message) : Promise.resolve(true);
+        stored
+            .catch(error => {
+                console.error(`Failed to store message ${message.id} in IndexedDB`, error);
+                return true;
+            })
+            .then(isNew => {
+                if (!isNew || serverRef.current !== server) return;
+                setMessagesByTopic(prev => ({ ...prev, [topic]: [message, ...(prev[topic] || [])] }));
+                if (!read) adjustUnread(topic, 1);
+                playSound(sound);
 
-        // Load message history for the current topic from localStorage.
+                // Show desktop notification if the rules allow it and permission is granted
+                if (notify && Notification.permission === "granted" && message.message) {
+                    const notificationTitle = message.title || `New message on topic: ${topic}`;
+                    // The message id as tag keeps a Web Push notification for the same message from showing twice.
+                    new Notification(notificationTitle, {
+                        body: message.message,
+                        icon: message.icon || '/icon.svg',
+                        tag: message.id
+                    });
+                }
+            });
+    }, [isInView, adjustUnread]);
+
+    /**
+     * Loads the first page of a topic's stored history into state, replacing what
+     * was loaded before. Retention is applied first so expired messages never show.
+     */
+    const loadHistory = useCallback(async (topic) => {
         try {
-            const savedMessages = localStorage.getItem(`ntfy-history-${topic}`);
-            setMessages(savedMessages ? JSON.parse(savedMessages) : []);
+            await applyRetention(cleanServer, topic, retentionRef.current[topic] || DEFAULT_RETENTION);
+            const page = await getMessages(cleanServer, topic);
+            const pinned = await getPinnedMessages(cleanServer, topic);
+            const unread = await countUnreadMessages(cleanServer, topic);
+            if (serverRef.current !== cleanServer) return;
+            page.forEach(msg => seenIdsRef.current.add(msg.id));
+            if (page.length > 0 && !lastIdsRef.current.has(topic)) {
+                lastIdsRef.current.set(topic, page[0].id);
+            }
+            setMessagesByTopic(prev => ({ ...prev, [topic]: page }));
+            setHasOlderByTopic(prev => ({ ...prev, [topic]: page.length === PAGE_SIZE }));
+            setPinnedByTopic(prev => ({ ...prev, [topic]: pinned }));
+            setUnreadByTopic(prev => ({ ...prev, [topic]: unread }));
         } catch (error) {
-            console.error(`Failed to load history for topic ${topic} from localStorage`, error);
-            setMessages([]);
+            console.error(`Failed to load history for topic ${topic} from IndexedDB`, error);
         }
+    }, [cleanServer]);
 
-        const cleanServer = server.replace(/\/$/, '');
-        const fetchUrl = `${cleanServer}/${topic}/json`;
-        
-        const controller = new AbortController();
-        abortControllerRef.current = controller;
+    /**
+     * Fetches the messages the server still has cached for a topic, see `client.poll`,
+     * tagged with the server they belong to. Unless scheduled messages are asked for, those
+     * published before the topic's history was last cleared are left out so they stay cleared.
+     */
+    const pollTopic = useCallback(async (topic, since, scheduled = false) => {
+        const clearedAt = scheduled ? null : await getClearedAt(cleanServer, topic);
+        const polled = await client.poll(topic, { since: since === 'all' && clearedAt ? String(clearedAt) : since, scheduled });
+        return polled
+            .filter(msg => !clearedAt || msg.time > clearedAt)
+            .map(msg => ({ ...msg, server: cleanServer }));
+    }, [client, cleanServer]);
 
+    /**
+     * Brings a topic's stored history up to date with the server cache. A topic without
+     * local history (e.g. on a new device or after clearing it) gets everything the server
+     * still has, otherwise only what arrived after the newest stored message. Fetched
+     * messages don't notify. Those that arrived since the newest stored message are unread
+     * like streamed ones, the rest of a full fetch is old history and stored as read.
+     */
+    const syncHistory = useCallback(async (topic) => {
+        const since = lastIdsRef.current.get(topic) || 'all';
         try {
-            const response = await fetch(fetchUrl, {
-                signal: controller.signal,
-                cache: 'no-store'
+            const polled = await pollTopic(topic, since);
+            if (serverRef.current !== cleanServer) return;
+            let added = 0;
+            const read = since === 'all' || isInView(topic);
+            for (const msg of polled.filter(m => evaluateRules(m, notificationRulesRef.current[topic]).store)) {
+                if (await addMessage({ ...msg, read })) added++;
+            }
+            if (polled.length > 0) {
+                lastIdsRef.current.set(topic, polled[polled.length - 1].id);
+            }
+            if (since === 'all') {
+                setPolledAllByTopic(prev => ({ ...prev, [topic]: true }));
+            }
+            if (added > 0) {
+                await loadHistory(topic);
+            }
+        } catch (error) {
+            console.error(`Failed to fetch cached messages for topic ${topic}`, error);
+        }
+    }, [cleanServer, pollTopic, loadHistory, isInView]);
+
+
+    // Effect to drop the loaded history and connection state of the previous server when
+    // another profile is picked or the server URL changes. It runs before the history is loaded.
+    useEffect(() => {
+        if (serverRef.current === cleanServer) return;
+        serverRef.current = cleanServer;
+        lastIdsRef.current.clear();
+        historyReadyRef.current.clear();
+        setMessagesByTopic({});
+        setHasOlderByTopic({});
+        setPolledAllByTopic({});
+        setPinnedByTopic({});
+        setUnreadByTopic({});
+        setSelectedMessageId(null);
+        setConnections({});
+        setEventLogs({});
+        setScheduledMessages(null);
+    }, [cleanServer]);
+
+    // Effect to load the stored history of every subscribed topic that isn't loaded yet
+    // and fill it up from the server cache. It runs before the streams start, which wait for it.
+    useEffect(() => {
+        for (const { topic } of subscriptions) {
+            if (!historyReadyRef.current.has(topic)) {
+                historyReadyRef.current.set(topic, loadHistory(topic).then(() => syncHistory(topic)));
+            }
+        }
+    }, [subscriptions, loadHistory, syncHistory]);
+
+    // Effect to apply the retention settings to long-running sessions once an hour.
+    useEffect(() => {
+        const interval = setInterval(() => {
+            subscriptions.forEach(({ topic, retention: settings }) => {
+                applyRetention(cleanServer, topic, settings || DEFAULT_RETENTION)
+                    .then(() => refreshUnread(topic))
+                    .catch(error => console.error(`Failed to apply retention for topic ${topic}`, error));
             });
+        }, 60 * 60 * 1000);
+        return () => clearInterval(interval);
+    }, [cleanServer, subscriptions, refreshUnread]);
 
-            if (!response.ok) {
-                throw new Error(`Connection failed: ${response.status} ${response.statusText}`);
+    /**
+     * Keeps every enabled topic subscribed with `client.subscribe`, which falls back to other
+     * transports and reconnects with backoff, asking for everything since the last received
+     * message so nothing published in between is lost. Each stream waits for the stored and
+     * cached history of its topic so the first request can already ask for `since=`.
+     */
+    const wakeStreams = useTopicStreams(client, enabledTopics, {
+        ready: topic => historyReadyRef.current.get(topic),
+        since: topic => lastIdsRef.current.get(topic),
+        onOpen: (topic, { transport, frame, latency }) => {
+            logEvent(topic, frame);
+            updateConnection(topic, true, null, { transport, lastKeepalive: Date.now(), latency });
+            console.log(`Subscribed to ${cleanServer}/${topic} using ${getTransportLabel(transport)}.`);
+        },
+        onKeepalive: (topic, { frame }) => {
+            logEvent(topic, frame);
+            setConnections(prev => ({ ...prev, [topic]: { ...prev[topic], lastKeepalive: Date.now() } }));
+        },
+        onMessage: (topic, message) => {
+            logEvent(topic, message);
+            handleIncomingMessage(cleanServer, topic, message);
+        },
+        onClose: (topic, { transport, error, unauthorized }) => {
+            const failure = error ? { failedAt: Date.now(), failureStatus: error.status || null } : {};
+            if (unauthorized) {
+                // Retrying won't help without different credentials, which restart the stream anyway.
+                updateConnection(topic, false, `Unauthorized (${error.status}). Check the credentials for this server.`, { transport, unauthorized: true, ...failure });
+            } else {
+                updateConnection(topic, false, error ? `${getTransportLabel(transport)} failed: ${error.message}` : 'Connection closed.', { transport, ...failure });
             }
+        },
+        onRetry: (topic, { retryAt }) => {
+            setConnections(prev => ({ ...prev, [topic]: { ...prev[topic], retryAt, reconnects: (prev[topic]?.reconnects || 0) + 1 } }));
+        },
+    });
 
-            setConnected(true);
-            setErrorInfo(null);
-            console.log(`Subscribed to ${fetchUrl} using fetch streaming.`);
-
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) {
-                    if (!controller.signal.aborted) {
-                        setConnected(false);
-                        setErrorInfo('Connection closed.');
-                    }
-                    break;
-                }
+    // Effect to drop the connection state of topics that were disabled.
+    useEffect(() => {
+        setConnections(prev => Object.fromEntries(Object.entries(prev).filter(([topic]) => enabledTopics.includes(topic))));
+    }, [enabledTopicsKey]);
+
+    // Reconnect right away instead of waiting out the backoff when the network comes
+    // back or the tab becomes visible again.
+    useEffect(() => {
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') wakeStreams();
+        };
+        window.addEventListener('online', wakeStreams);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            window.removeEventListener('online', wakeStreams);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [wakeStreams]);
+
+    const isReconnecting = Object.values(connections).some(connection => connection.retryAt);
+
+    // Effect to tick the reconnect countdown while any stream is waiting to reconnect.
+    useEffect(() => {
+        if (!isReconnecting) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [isReconnecting]);
 
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-                buffer = lines.pop(); 
-
-                for (const line of lines) {
-                    if (line.trim() === '') continue;
-                    try {
-                        const parsedData = JSON.parse(line);
-                        if (parsedData.id && parsedData.message) {
-                            // Update state and save to localStorage.
-                            setMessages(prevMessages => {
-                                // Prevent duplicate messages from being added.
-                                if (prevMessages.some(msg => msg.id === parsedData.id)) {
-                                    return prevMessages;
-                                }
-                                // Add new message and limit history to 50 messages.
-                                const newMessages = [parsedData, ...prevMessages].slice(0, 50);
-                                localStorage.setItem(`ntfy-history-${topic}`, JSON.stringify(newMessages));
-                                
-                                // Show desktop notification if permission is granted
-                                if (Notification.permission === "granted" && parsedData.message) {
-                                    const notificationTitle = parsedData.title || `New message on topic: ${topic}`;
-                                    new Notification(notificationTitle, {
-                                        body: parsedData.message,
-                                        icon: '/ntfy-logo.png' // Consider adding a logo in the public folder
-                                    });
-                                }
-                                return newMessages;
-                            });
-
-                           // NOTE: The Electron-specific desktop notification code has been removed from this version.
-                        }
-                    } catch (e) {
-                        console.error('Failed to parse message JSON from stream:', line, e);
-                    }
+    // Effect to register this browser for Web Push on the topics that should notify in the background.
+    useEffect(() => {
+        if (!isWebPushSupported()) return;
+        const topics = webPushTopicsKey ? webPushTopicsKey.split(',') : [];
+        updateWebPushTopics(cleanServer, topics, client.authorization).catch(error => {
+            console.error('Failed to update Web Push subscriptions', error);
+            setErrorInfo(`Background notifications unavailable: ${error.message}`);
+        });
+    }, [webPushTopicsKey, cleanServer, client]);
+
+    // Effect to run the recurring sends of this server that are due. Each send runs at most once
+    // per minute, also across tabs, which see each other's `lastRun` through localStorage.
+    useEffect(() => {
+        const runDue = () => {
+            const date = new Date();
+            const minute = Math.floor(date.getTime() / 60000);
+            const stored = readStorage('ntfy-recurring', []);
+            const due = [];
+            for (const job of recurring.filter(j => j.enabled && j.server === cleanServer)) {
+                const lastRun = stored.find(j => j.id === job.id)?.lastRun ?? job.lastRun;
+                if (lastRun && Math.floor(lastRun / 60000) === minute) continue;
+                let schedule;
+                try {
+                    schedule = parseSchedule(job.cron);
+                } catch (error) {
+                    continue;
                 }
+                if (isDue(schedule, date)) due.push(job);
             }
-        } catch (error) {
-            if (error.name !== 'AbortError') {
-                console.error(`Subscription failed for URL: ${fetchUrl}.`, error);
-                setConnected(false);
-                setErrorInfo('Connection failed. Check console.');
+            if (due.length === 0) return;
+
+            // One update for all of them, persisted by the effect below.
+            const dueIds = due.map(job => job.id);
+            setRecurring(prev => prev.map(j => (dueIds.includes(j.id) ? { ...j, lastRun: date.getTime() } : j)));
+            for (const job of due) {
+                const { topic, title, message, priority, tags } = job;
+                client.publish(topic, { title, message, options: { priority, tags } })
+                    .then(published => recordSend(topic, { title, message, options: { priority, tags } }, published))
+                    .catch(error => {
+                        console.error(`Recurring send "${job.name}" failed`, error);
+                        setErrorInfo(`Recurring send "${job.name}" failed: ${error.message}`);
+                    });
             }
-        }
-    }, [topic, server]);
+        };
+        const interval = setInterval(runDue, 15000);
+        return () => clearInterval(interval);
+    }, [recurring, cleanServer, client]);
 
-    // Effect to manage the subscription lifecycle.
+    // Effect to open the topic of a notification clicked while the app was already open.
     useEffect(() => {
-        subscribe();
-        return () => {
-            if (abortControllerRef.current) {
-                abortControllerRef.current.abort();
-            }
+        if (!('serviceWorker' in navigator)) return;
+        const handleWorkerMessage = (e) => {
+            if (e.data?.type !== 'notification-click') return;
+            setActiveView(e.data.topic);
+            setFocusedMessageId(e.data.id);
         };
-    }, [subscribe]);
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+        return () => navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+    }, []);
 
-    // Effect to save the current topic to localStorage and manage previous topics
+    // Effect to scroll to the focused message once it is loaded, then drop it from the URL.
     useEffect(() => {
-        if (topic.trim()) {
-            // Save latest topic
-            localStorage.setItem('ntfy-latest-topic', topic.trim());
-
-            // Manage previous topics
-            setPreviousTopics(prevTopics => {
-                const newTopics = [topic.trim(), ...prevTopics.filter(t => t !== topic.trim())].slice(0, 10); // Keep last 10 topics
-                localStorage.setItem('ntfy-previous-topics', JSON.stringify(newTopics));
-                return newTopics;
+        if (!focusedMessageId) return;
+        const element = document.getElementById(`message-${focusedMessageId}`);
+        if (!element) return;
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const url = new URL(window.location.href);
+        url.searchParams.delete('message');
+        window.history.replaceState(null, '', url);
+    }, [focusedMessageId, messagesByTopic, activeView]);
+
+    // Effect to switch to the server of a shared link, whose topics were already added, and drop the link from the URL.
+    useEffect(() => {
+        if (!sharedTopics) return;
+        setActiveProfileId(profiles.find(p => p.url === sharedTopics.server).id);
+        const url = new URL(window.location.href);
+        url.searchParams.delete('subscribe');
+        url.searchParams.delete('server');
+        window.history.replaceState(null, '', url);
+    }, []);
+
+    // Effect to keep the settings read by the stream callbacks in sync with the subscriptions.
+    useEffect(() => {
+        retentionRef.current = retention;
+        notificationRulesRef.current = notificationRules;
+    }, [subscriptions]);
+
+    // Effect to persist the server profiles, with their credentials, topics and rules.
+    useEffect(() => {
+        localStorage.setItem('ntfy-servers', JSON.stringify(profiles));
+    }, [profiles]);
+
+    // Effect to persist the publish templates.
+    useEffect(() => {
+        localStorage.setItem('ntfy-templates', JSON.stringify(templates));
+    }, [templates]);
+
+    // Effect to persist the recurring sends.
+    useEffect(() => {
+        localStorage.setItem('ntfy-recurring', JSON.stringify(recurring));
+    }, [recurring]);
+
+    // Effect to persist the send history.
+    useEffect(() => {
+        localStorage.setItem('ntfy-send-history', JSON.stringify(sendHistory));
+    }, [sendHistory]);
+
+    // Effect to persist the AI settings, including the API key.
+    useEffect(() => {
+        localStorage.setItem('ntfy-ai', JSON.stringify(aiSettings));
+    }, [aiSettings]);
+
+    // Effect to persist the active server profile.
+    useEffect(() => {
+        localStorage.setItem('ntfy-active-server', JSON.stringify(profile.id));
+    }, [profile.id]);
+
+    // Effect to persist the active view.
+    useEffect(() => {
+        activeViewRef.current = activeView;
+        localStorage.setItem('ntfy-active-view', JSON.stringify(activeView));
+    }, [activeView]);
+
+    // Effect to mirror the viewed topic and the filter into the URL.
+    useEffect(() => {
+        writeFilterToUrl(filter, activeView);
+    }, [filter, activeView]);
+
+    // Falls back to the combined timeline when the viewed topic is no longer subscribed.
+    useEffect(() => {
+        if (activeView !== ALL_TOPICS && !subscriptions.some(sub => sub.topic === activeView)) {
+            setActiveView(ALL_TOPICS);
+        }
+    }, [activeView, subscriptions]);
+
+    const handleSaveCredentials = (auth) => {
+        updateProfile({ auth: auth || null });
+    };
+
+    const handleSaveRetention = async (topic, settings) => {
+        retentionRef.current = { ...retention, [topic]: settings };
+        setSubscriptions(prev => prev.map(sub => (sub.topic === topic ? { ...sub, retention: settings } : sub)));
+        await loadHistory(topic);
+    };
+
+    const handleSaveNotificationRules = (topic, rules) => {
+        setSubscriptions(prev => prev.map(sub => (sub.topic === topic ? { ...sub, rules } : sub)));
+    };
+
+    const handleSaveProfile = (changes) => {
+        updateProfile(changes);
+    };
+
+    // Adds a profile for another server and switches to it, so it can be set up right away.
+    const handleAddProfile = () => {
+        const newProfile = createProfile(DEFAULT_SERVER, { name: 'New server' });
+        setProfiles(prev => [...prev, newProfile]);
+        setActiveProfileId(newProfile.id);
+    };
+
+    // Removes the active profile. Its stored history goes too, unless another profile uses the same server.
+    const handleDeleteProfile = () => {
+        if (profiles.length < 2) return;
+        if (!profiles.some(p => p.id !== profile.id && p.url === profile.url)) {
+            subscriptions.forEach(({ topic }) => {
+                clearTopic(cleanServer, topic).catch(error => console.error(`Failed to clear history for topic ${topic}`, error));
             });
         }
-    }, [topic, setPreviousTopics]);
+        setProfiles(prev => prev.filter(p => p.id !== profile.id));
+        setActiveProfileId(profiles.find(p => p.id !== profile.id).id);
+    };
+
+    const handleExportConfig = (includeSecrets) => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`ntfy-config-${date}.json`, exportConfig(profiles, aiSettings, includeSecrets), 'application/json');
+        return includeSecrets ? 'Exported. The file contains credentials, keep it safe.' : 'Exported without credentials and API keys.';
+    };
+
+    // Merges an imported configuration into the current one; existing secrets stay when the file has none.
+    const handleImportConfig = (text) => {
+        const { servers, ai } = parseConfig(text);
+        setProfiles(prev => mergeProfiles(prev, servers));
+        if (ai) setAiSettings(current => ({ ...ai, apiKey: ai.apiKey || current.apiKey }));
+        const topicCount = servers.reduce((sum, server) => sum + server.subscriptions.length, 0);
+        return `Imported ${servers.length} server(s) with ${topicCount} topic(s).`;
+    };
+
+    const handleExportHistory = async (topic, format) => {
+        // Stored newest first, written oldest first like the server sends them.
+        const stored = await getMessages(cleanServer, topic, null, Infinity);
+        const { type } = HISTORY_FORMATS.find(({ value }) => value === format);
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`ntfy-${topic}-${date}.${format}`, exportHistory(stored.reverse(), format), type);
+        return `Exported ${stored.length} message(s) from "${topic}".`;
+    };
+
+    // Adds imported messages to the history of this server, skipping those already stored.
+    const handleImportHistory = async (text) => {
+        const { messages: imported, invalid } = parseHistory(text);
+        let added = 0;
+        for (const msg of imported) {
+            if (await addMessage({ ...msg, server: cleanServer })) added++;
+        }
+        const topics = [...new Set(imported.map(msg => msg.topic))];
+        for (const topic of topics.filter(t => subscriptions.some(sub => sub.topic === t))) {
+            await loadHistory(topic);
+        }
+        return [
+            `Imported ${added} message(s) into ${topics.join(', ') || 'no topics'}`,
+            imported.length > added && `${imported.length - added} already stored`,
+            invalid > 0 && `${invalid} invalid skipped`,
+        ].filter(Boolean).join(', ') + '.';
+    };
+
+    const handleSwitchProfile = (id) => {
+        if (id === 'add') {
+            handleAddProfile();
+            return;
+        }
+        setActiveProfileId(id);
+        setActiveView(ALL_TOPICS);
+    };
+
+    const handleAddTopic = () => {
+        const topic = newTopic.trim();
+        if (!TOPIC_REGEX.test(topic)) {
+            setErrorInfo('Topic names may only contain letters, digits, "-" and "_".');
+            return;
+        }
+        setErrorInfo(null);
+        setSubscriptions(prev => [{ ...prev.find(sub => sub.topic === topic), topic, enabled: true }, ...prev.filter(sub => sub.topic !== topic)]);
+        setActiveView(topic);
+        setNewTopic('');
+    };
 
-    const handleTopicClick = (clickedTopic) => {
-        setTopic(clickedTopic);
+    const handleToggleTopic = (topicToToggle) => {
+        setSubscriptions(prev => prev.map(sub => (sub.topic === topicToToggle ? { ...sub, enabled: !sub.enabled } : sub)));
+    };
+
+    const handleToggleWebPush = (topicToToggle) => {
+        if (!isWebPushSupported()) {
+            setErrorInfo('This browser does not support background notifications.');
+            return;
+        }
+        setSubscriptions(prev => prev.map(sub => (sub.topic === topicToToggle ? { ...sub, webPush: !sub.webPush } : sub)));
     };
 
     const handleRemoveTopic = (topicToRemove) => {
-        setPreviousTopics(prevTopics => {
-            const newTopics = prevTopics.filter(topic => topic !== topicToRemove);
-            localStorage.setItem('ntfy-previous-topics', JSON.stringify(newTopics));
-            return newTopics;
+        setSubscriptions(prev => prev.filter(sub => sub.topic !== topicToRemove));
+    };
+
+    // The composer publishes to the viewed topic, or to the one picked in the combined timeline.
+    const targetTopic = (activeView !== ALL_TOPICS ? activeView : publishTopic || enabledTopics[0] || '').trim();
+
+    // Describes why a publish failed, for the composer's status line.
+    const getPublishErrorText = (topic, error) => {
+        if (isUnauthorizedStatus(error.status)) return `Unauthorized to publish to "${topic}". Check the credentials for this server.`;
+        if (error.status) return `Publishing failed: ${error.message}`;
+        return 'Publishing failed. Check your connection and the server URL.';
+    };
+
+    /**
+     * Adds a publish to the send history. Relative delays and fixed times are dropped,
+     * since sending again means sending now.
+     */
+    const recordSend = (topic, { title, message, options, attachment = null }, published) => {
+        const entry = {
+            id: published.id,
+            server: cleanServer,
+            topic,
+            title,
+            message,
+            options: { ...options, delay: '', at: '' },
+            attachment,
+            sentAt: Date.now(),
+            time: published.time,
+        };
+        setSendHistory(prev => [entry, ...prev].slice(0, MAX_SEND_HISTORY));
+    };
+
+    /**
+     * Publishes a text message outside the composer, e.g. a filled template or a past
+     * publish sent again, and reports the outcome in the composer's status line.
+     * @returns {Promise<boolean>} Whether the message was published.
+     */
+    const publishNow = async (topic, { title, message, options }) => {
+        if (!TOPIC_REGEX.test(topic || '')) {
+            setSendStatus({ error: true, text: 'Pick a topic to publish to.' });
+            return false;
+        }
+        setSendStatus(null);
+        try {
+            const published = await publish(topic, { title, message, options });
+            recordSend(topic, { title, message, options }, published);
+            setSendStatus({ error: false, text: `Published to "${topic}".` });
+            return true;
+        } catch (error) {
+            console.error("Failed to send message:", error);
+            setSendStatus({ error: true, text: getPublishErrorText(topic, error) });
+            return false;
+        }
+    };
+
+    // Puts a message into the composer, switching to the combined timeline when it targets another topic.
+    const fillComposer = (topic, { title, message, options }) => {
+        setNewTitle(title);
+        setNewMessage(message);
+        setPublishOptions(current => ({ ...current, ...options }));
+        if (topic && topic !== targetTopic) {
+            setPublishTopic(topic);
+            setActiveView(ALL_TOPICS);
+        }
+    };
+
+    const handleFillTemplate = (filled) => {
+        fillComposer(filled.topic, { title: filled.title, message: filled.message, options: { priority: filled.priority, tags: filled.tags } });
+    };
+
+    const handleSendTemplate = (filled) => (
+        publishNow(filled.topic || targetTopic, { title: filled.title, message: filled.message, options: { priority: filled.priority, tags: filled.tags } })
+    );
+
+    // Saves the composer as a template, replacing a template with the same name.
+    const handleSaveTemplate = (name) => {
+        const template = createTemplate({
+            name,
+            title: newTitle,
+            message: newMessage,
+            priority: publishOptions.priority,
+            tags: publishOptions.tags,
+            topic: activeView !== ALL_TOPICS ? activeView : publishTopic.trim(),
         });
+        setTemplates(prev => [...prev.filter(t => t.name !== name), template]);
     };
-    
+
+    const handleDeleteTemplate = (id) => {
+        setTemplates(prev => prev.filter(t => t.id !== id));
+    };
+
+    const handleRepeatTemplate = (filled, cron, name) => {
+        const topic = filled.topic || targetTopic;
+        if (!TOPIC_REGEX.test(topic)) {
+            setErrorInfo('Pick a topic before scheduling a template without one.');
+            return;
+        }
+        setRecurring(prev => [...prev, {
+            id: createId(),
+            server: cleanServer,
+            name,
+            cron,
+            topic,
+            title: filled.title,
+            message: filled.message,
+            priority: filled.priority,
+            tags: filled.tags,
+            enabled: true,
+            lastRun: null,
+        }]);
+    };
+
+    const handleToggleRecurring = (id) => {
+        setRecurring(prev => prev.map(job => (job.id === id ? { ...job, enabled: !job.enabled } : job)));
+    };
+
+    const handleDeleteRecurring = (id) => {
+        setRecurring(prev => prev.filter(job => job.id !== id));
+    };
+
+    // Loads the delayed messages that are still waiting on the server for the enabled topics.
+    const loadScheduledMessages = async () => {
+        try {
+            const nowSeconds = Date.now() / 1000;
+            const polled = await Promise.all(enabledTopics.map(topic => pollTopic(topic, 'all', true)));
+            setScheduledMessages(polled.flat().filter(msg => msg.time > nowSeconds).sort((a, b) => a.time - b.time));
+        } catch (error) {
+            console.error('Failed to load scheduled messages', error);
+            setErrorInfo('Failed to load scheduled messages. Check console.');
+        }
+    };
+
+    const handleResend = (entry) => publishNow(entry.topic, entry);
+
+    const handleEditSent = (entry) => {
+        fillComposer(entry.topic, entry);
+    };
+
     /**
-     * Sends a notification to the current topic.
+     * Sends a notification with the composer options to the target topic and reports
+     * the server's error message if it is rejected. With an attached file, the file is
+     * PUT as the request body and the message text moves to the `Message` header.
      */
     const sendMessage = async () => {
-        if (!newMessage.trim() || !topic.trim()) return;
+        if ((!newMessage.trim() && !attachmentFile) || !targetTopic || isSending) return;
+        setSendStatus(null);
         try {
-            const cleanServer = server.replace(/\/$/, '');
-            const headers = { 'Priority': 'default', 'Tags': 'rocket' };
-            if (newTitle.trim()) {
-                headers['Title'] = newTitle.trim();
-            }
-
-            await fetch(`${cleanServer}/${topic}`, {
-                method: 'POST',
-                body: newMessage,
-                headers: headers
+            const published = await publish(targetTopic, { title: newTitle, message: newMessage, options: publishOptions, attachment: attachmentFile });
+            recordSend(targetTopic, { title: newTitle, message: newMessage, options: publishOptions, attachment: attachmentFile?.name }, published);
+            const scheduled = published.time > Date.now() / 1000 + 1;
+            setSendStatus({
+                error: false,
+                text: scheduled ? `Scheduled for ${new Date(published.time * 1000).toLocaleString()}.` : `Published to "${targetTopic}".`,
             });
             setNewMessage('');
             setNewTitle('');
+            setAttachmentFile(null);
+            setPublishOptions(options => ({ ...options, delay: '', at: '' }));
         } catch (error) {
             console.error("Failed to send message:", error);
+            setSendStatus({ error: true, text: getPublishErrorText(targetTopic, error) });
         }
     };
+
+    const handleFileDrop = (e) => {
+        e.preventDefault();
+        setIsDraggingFile(false);
+        const file = e.dataTransfer.files?.[0];
+        if (file) setAttachmentFile(file);
+    };
+
+    const handleFileSelect = (e) => {
+        const file = e.target.files?.[0];
+        if (file) setAttachmentFile(file);
+        // Reset the input so picking the same file again still fires a change event.
+        e.target.value = '';
+    };
     
     /**
-     * ✨ Uses the Gemini API to generate a notification message from a prompt.
+     * ✨ Uses the configured AI provider to draft a notification from the prompt in the
+     * textarea: title, tags and priority along with the body. The draft streams into an
+     * editable suggestion, which only replaces the composer fields once it is used.
      */
     const handleGenerateMessage = async () => {
         if (!newMessage.trim()) {
@@ -280,73 +934,315 @@ const App = () => {
         }
         setIsGenerating(true);
         setErrorInfo(null);
-        
-        const prompt = `Based on the following prompt, write a concise and friendly notification message suitable for the ntfy.sh service. The message should be a single paragraph. Prompt: "${newMessage}"`;
-        const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-        const apiKey = "";
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+        const controller = new AbortController();
+        aiRequestRef.current = controller;
 
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
+            setDraft(parseDraft(''));
+            const text = await generateText(aiSettings, buildDraftPrompt(newMessage), {
+                signal: controller.signal,
+                onToken: (token, textSoFar) => setDraft(parseDraft(textSoFar)),
             });
-            const result = await response.json();
-            if (result.candidates?.[0]?.content?.parts?.[0]?.text) {
-                setNewMessage(result.candidates[0].content.parts[0].text);
-            } else {
-                throw new Error('Invalid response structure from Gemini API.');
-            }
+            if (!text) throw new Error('The AI provider returned no text.');
         } catch (error) {
-            console.error("Gemini API call failed:", error);
-            setErrorInfo("Failed to generate message. Check console.");
+            if (error.name === 'AbortError') return;
+            console.error("AI request failed:", error);
+            setDraft(null);
+            setErrorInfo(`Failed to generate message: ${error.message}`);
         } finally {
-            setIsGenerating(false);
+            if (aiRequestRef.current === controller) setIsGenerating(false);
         }
     };
 
+    const handleApplyDraft = () => {
+        setNewTitle(draft.title);
+        setNewMessage(draft.message);
+        setPublishOptions(options => ({ ...options, priority: draft.priority, tags: draft.tags }));
+        setDraft(null);
+    };
+
+    const handleDiscardDraft = () => {
+        aiRequestRef.current?.abort();
+        setDraft(null);
+    };
+
+    const viewTopics = activeView !== ALL_TOPICS ? [activeView] : enabledTopics;
+    const viewTopicsKey = viewTopics.join(',');
+
+    /**
+     * Searches the stored history of `topics` for messages matching `messageFilter`, as the
+     * loaded pages only hold the newest messages. Loaded matches are included, as their flags
+     * may not be written yet and messages the notification rules don't store are only there.
+     * @param {string[]} topics - The topics.
+     * @param {object} messageFilter - The filter, see `EMPTY_FILTER`.
+     * @param {{since?: number, limit?: number}} [options] - Leaves out messages published before
+     *     this Unix time in seconds, and stops after `limit` matches per topic.
+     * @returns {Promise<object[]>} The matches, newest first.
+     */
+    const searchHistory = async (topics, messageFilter, { since = -Infinity, limit = MAX_SEARCH_RESULTS } = {}) => {
+        const range = getFilterTimeRange(messageFilter);
+        const match = (msg) => matchesFilter(msg, messageFilter);
+        const stored = await Promise.all(topics.map(topic => findMessages(cleanServer, topic, {
+            since: Math.max(since, range.since), until: range.until, match, limit,
+        })));
+        const found = new Map(stored.flat().map(msg => [msg.id, msg]));
+        topics.flatMap(topic => messagesByTopic[topic] || [])
+            .filter(msg => msg.time >= since && match(msg))
+            .forEach(msg => found.set(msg.id, msg));
+        return [...found.values()].sort((a, b) => b.time - a.time);
+    };
+
+    // Effect to search the stored history while a filter is set, again after the typing pauses
+    // and whenever the loaded messages change, e.g. when one arrives or is read.
+    useEffect(() => {
+        if (isFilterEmpty(filter)) {
+            setSearchResults(null);
+            return;
+        }
+        let cancelled = false;
+        const timeout = setTimeout(() => {
+            searchHistory(viewTopics, filter)
+                .then(found => {
+                    if (!cancelled) setSearchResults(found);
+                })
+                .catch(error => console.error('Failed to search the history in IndexedDB', error));
+        }, SEARCH_DELAY);
+        return () => {
+            cancelled = true;
+            clearTimeout(timeout);
+        };
+    }, [filter, viewTopicsKey, messagesByTopic, cleanServer]);
+
+    // The loaded messages of the viewed topic, or the combined timeline of all enabled topics.
+    const viewMessages = activeView !== ALL_TOPICS
+        ? messagesByTopic[activeView] || []
+        : enabledTopics.flatMap(topic => messagesByTopic[topic] || []).sort((a, b) => b.time - a.time);
+    // With a filter set, the matches from the whole history; the loaded ones until the search is done.
+    const messages = isFilterEmpty(filter)
+        ? viewMessages
+        : sortMessages((searchResults || viewMessages).filter(msg => viewTopics.includes(msg.topic) && matchesFilter(msg, filter)), filter);
+    const knownTags = [...new Set(viewMessages.flatMap(msg => msg.tags || []))].sort();
+    // Pinned messages are shown in their own section above the others.
+    const pinnedMessages = (activeView !== ALL_TOPICS
+        ? pinnedByTopic[activeView] || []
+        : enabledTopics.flatMap(topic => pinnedByTopic[topic] || []).sort((a, b) => b.time - a.time)
+    ).filter(msg => matchesFilter(msg, filter));
+    const unpinnedMessages = messages.filter(msg => !msg.pinned);
+    // The messages in the order they are listed, for keyboard navigation.
+    const listedMessages = [...pinnedMessages, ...unpinnedMessages];
+
     /**
-     * ✨ Uses the Gemini API to summarize all received messages.
+     * ✨ Uses the configured AI provider to summarize or triage the messages in the current
+     * view that match the filter, optionally limited to a time window, streaming the answer
+     * into the modal as it is written. Both cite the messages they are based on.
+     * @param {'summary'|'triage'} mode - Whether to summarize or to group and flag incidents.
+     * @param {string} window - A `TIME_WINDOWS` value.
      */
-    const handleSummarize = async () => {
-        if (messages.length === 0) return;
+    const runAiReport = async (mode, window = '') => {
+        aiRequestRef.current?.abort();
+        let matching = messages;
+        try {
+            matching = await searchHistory(viewTopics, filter, { since: getWindowStart(window), limit: MAX_PROMPT_MESSAGES });
+        } catch (error) {
+            console.error('Failed to search the history in IndexedDB', error);
+        }
+        const selected = selectMessages(matching, window);
+        setAiReport({ mode, window, text: '', messages: selected });
+        if (selected.length === 0) return;
         setIsGenerating(true);
         setErrorInfo(null);
+        const controller = new AbortController();
+        aiRequestRef.current = controller;
 
-        const messagesText = messages.map(msg => `- ${msg.message}`).join('\n');
-        const prompt = `Please provide a brief, bulleted summary of the following notifications:\n\n${messagesText}`;
-        const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-        const apiKey = "";
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
+        const prompt = mode === 'triage' ? buildTriagePrompt(selected) : buildSummaryPrompt(selected);
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
+            await generateText(aiSettings, prompt, {
+                signal: controller.signal,
+                onToken: (token, textSoFar) => setAiReport(report => report && { ...report, text: textSoFar }),
             });
-            const result = await response.json();
-            if (result.candidates?.[0]?.content?.parts?.[0]?.text) {
-                setSummary(result.candidates[0].content.parts[0].text);
-                setIsSummaryModalOpen(true);
-            } else {
-                throw new Error('Invalid response structure from Gemini API.');
-            }
         } catch (error) {
-            console.error("Gemini API call failed:", error);
-            setErrorInfo("Failed to summarize messages. Check console.");
+            if (error.name === 'AbortError') return;
+            console.error("AI request failed:", error);
+            setAiReport(null);
+            setErrorInfo(`Failed to ${mode === 'triage' ? 'triage' : 'summarize'} messages: ${error.message}`);
         } finally {
-            setIsGenerating(false);
+            if (aiRequestRef.current === controller) setIsGenerating(false);
         }
     };
-    
+
+    // Closing the modal stops the answer from being written any further.
+    const handleCloseAiReport = () => {
+        aiRequestRef.current?.abort();
+        setIsGenerating(false);
+        setAiReport(null);
+    };
+
+    // Jumps from a citation to the cited message.
+    const handleCite = (id) => {
+        handleCloseAiReport();
+        setFocusedMessageId(id);
+    };
+
+    const handleSaveAiSettings = (settings) => {
+        setAiSettings(settings);
+    };
+
     /**
-     * Clears messages from state and localStorage for the current topic.
+     * Clears messages from state and the store for the viewed topic, or for every enabled
+     * topic in the combined timeline. The store remembers when, so syncing doesn't bring them back.
      */
     const handleClearMessages = () => {
-        setMessages([]);
-        localStorage.removeItem(`ntfy-history-${topic}`);
+        const topics = activeView !== ALL_TOPICS ? [activeView] : enabledTopics;
+        setMessagesByTopic(prev => {
+            const next = { ...prev };
+            topics.forEach(topic => { next[topic] = []; });
+            return next;
+        });
+        setHasOlderByTopic(prev => {
+            const next = { ...prev };
+            topics.forEach(topic => { next[topic] = false; });
+            return next;
+        });
+        setPolledAllByTopic(prev => {
+            const next = { ...prev };
+            topics.forEach(topic => { next[topic] = false; });
+            return next;
+        });
+        setPinnedByTopic(prev => {
+            const next = { ...prev };
+            topics.forEach(topic => { next[topic] = []; });
+            return next;
+        });
+        setUnreadByTopic(prev => {
+            const next = { ...prev };
+            topics.forEach(topic => { next[topic] = 0; });
+            return next;
+        });
+        topics.forEach(topic => {
+            clearTopic(cleanServer, topic).catch(error => console.error(`Failed to clear history for topic ${topic}`, error));
+        });
+    };
+
+    /**
+     * Applies `changes`, such as `read` or `pinned`, to a message in state and in the store.
+     */
+    const changeMessage = (message, changes) => {
+        const update = (list = []) => list.map(msg => (msg.id === message.id ? { ...msg, ...changes } : msg));
+        setMessagesByTopic(prev => ({ ...prev, [message.topic]: update(prev[message.topic]) }));
+        setPinnedByTopic(prev => ({ ...prev, [message.topic]: update(prev[message.topic]) }));
+        updateMessage(message.id, changes).catch(error => console.error(`Failed to update message ${message.id} in IndexedDB`, error));
+    };
+
+    const handleToggleRead = (message) => {
+        const read = message.read === false;
+        changeMessage(message, { read });
+        adjustUnread(message.topic, read ? -1 : 1);
+    };
+
+    // Marks every message of the viewed topics read, in the store as well as the loaded ones.
+    const handleMarkAllRead = () => {
+        const markRead = (list = []) => list.map(msg => (msg.read === false ? { ...msg, read: true } : msg));
+        const markTopics = (prev) => ({ ...prev, ...Object.fromEntries(viewTopics.map(topic => [topic, markRead(prev[topic])])) });
+        setMessagesByTopic(markTopics);
+        setPinnedByTopic(markTopics);
+        setUnreadByTopic(prev => ({ ...prev, ...Object.fromEntries(viewTopics.map(topic => [topic, 0])) }));
+        viewTopics.forEach(topic => {
+            markTopicRead(cleanServer, topic).catch(error => console.error(`Failed to mark topic ${topic} read in IndexedDB`, error));
+        });
+    };
+
+    const handleTogglePin = (message) => {
+        const pinned = !message.pinned;
+        changeMessage(message, { pinned });
+        setPinnedByTopic(prev => {
+            const others = (prev[message.topic] || []).filter(msg => msg.id !== message.id);
+            return { ...prev, [message.topic]: pinned ? [{ ...message, pinned }, ...others].sort((a, b) => b.time - a.time) : others };
+        });
+    };
+
+    // Deletes one message from state and the store. The store keeps a tombstone, so syncing doesn't bring it back.
+    const handleDeleteMessage = (message) => {
+        const remove = (list = []) => list.filter(msg => msg.id !== message.id);
+        setMessagesByTopic(prev => ({ ...prev, [message.topic]: remove(prev[message.topic]) }));
+        setPinnedByTopic(prev => ({ ...prev, [message.topic]: remove(prev[message.topic]) }));
+        if (message.read === false) adjustUnread(message.topic, -1);
+        deleteMessage(message).catch(error => console.error(`Failed to delete message ${message.id} from IndexedDB`, error));
+    };
+
+    // Points the composer at the message's topic with a title quoting the message, keeping the typed text.
+    const handleReply = (message) => {
+        setNewTitle(`Re: "${message.title || message.message.split('\n')[0]}"`);
+        if (message.topic !== targetTopic) {
+            setPublishTopic(message.topic);
+            setActiveView(ALL_TOPICS);
+        }
+        document.getElementById('send')?.scrollIntoView({ behavior: 'smooth' });
+        messageInputRef.current?.focus({ preventScroll: true });
+    };
+
+    const countUnread = (topics) => topics.reduce((sum, topic) => sum + (unreadByTopic[topic] || 0), 0);
+    const unreadTotal = countUnread(enabledTopics);
+    const viewUnread = countUnread(viewTopics);
+    const hasOlderMessages = viewTopics.some(topic => hasOlderByTopic[topic]);
+    const canLoadFromServer = viewTopics.some(topic => !polledAllByTopic[topic]);
+
+    /**
+     * Loads the next page of stored history for every topic in the current view.
+     */
+    const loadOlderMessages = async () => {
+        if (isLoadingOlder || !hasOlderMessages) return;
+        setIsLoadingOlder(true);
+        try {
+            for (const topic of viewTopics.filter(t => hasOlderByTopic[t])) {
+                const loaded = messagesByTopic[topic] || [];
+                const page = await getMessages(cleanServer, topic, loaded[loaded.length - 1]);
+                const older = page.filter(msg => !loaded.some(known => known.id === msg.id));
+                older.forEach(msg => seenIdsRef.current.add(msg.id));
+                setMessagesByTopic(prev => ({ ...prev, [topic]: [...(prev[topic] || []), ...older] }));
+                setHasOlderByTopic(prev => ({ ...prev, [topic]: page.length === PAGE_SIZE }));
+            }
+        } catch (error) {
+            console.error('Failed to load older messages from IndexedDB', error);
+        } finally {
+            setIsLoadingOlder(false);
+        }
+    };
+
+    /**
+     * Once the stored history is exhausted, fetches everything the server still has
+     * cached for the topics in the current view and merges it in by id.
+     */
+    const loadOlderFromServer = async () => {
+        if (isLoadingOlder) return;
+        setIsLoadingOlder(true);
+        try {
+            for (const topic of viewTopics.filter(t => !polledAllByTopic[t])) {
+                const polled = await pollTopic(topic, 'all');
+                const added = [];
+                for (const msg of polled.filter(m => evaluateRules(m, notificationRules[topic]).store)) {
+                    if (await addMessage(msg)) added.push(msg);
+                }
+                added.forEach(msg => seenIdsRef.current.add(msg.id));
+                setMessagesByTopic(prev => ({
+                    ...prev,
+                    [topic]: [...(prev[topic] || []), ...added].sort((a, b) => b.time - a.time),
+                }));
+                setPolledAllByTopic(prev => ({ ...prev, [topic]: true }));
+            }
+        } catch (error) {
+            console.error('Failed to load older messages from the server', error);
+            setErrorInfo('Failed to load older messages from the server. Check console.');
+        } finally {
+            setIsLoadingOlder(false);
+        }
+    };
+
+    // Loads the next stored page when the message list is scrolled close to its end.
+    const handleMessagesScroll = (e) => {
+        const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+        if (scrollTop + clientHeight >= scrollHeight - 200) {
+            loadOlderMessages();
+        }
     };
 
     const handleKeyPress = (e) => {
@@ -356,75 +1252,219 @@ const App = () => {
         }
     };
 
+    const renderMessage = (msg) => (
+        <MessageCard
+            key={msg.id}
+            message={msg}
+            showTopic={activeView === ALL_TOPICS}
+            highlight={filter.q}
+            focused={msg.id === focusedMessageId}
+            selected={msg.id === selectedMessageId}
+            onToggleRead={handleToggleRead}
+            onTogglePin={handleTogglePin}
+            onReply={handleReply}
+            onDelete={handleDeleteMessage}
+        />
+    );
+
+    // Effect to show the number of unread messages in the tab title and on the favicon.
+    useEffect(() => {
+        showUnreadCount(unreadTotal);
+    }, [unreadTotal]);
+
+    // Effect to triage the listed messages with the keyboard: j and k select the next and previous
+    // message, Enter marks the selected one read or unread, s pins it and x deletes it.
+    useEffect(() => {
+        const handleShortcut = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            const index = listedMessages.findIndex(msg => msg.id === selectedMessageId);
+            const selected = listedMessages[index];
+
+            if (e.key === 'j' || e.key === 'k') {
+                const next = listedMessages[e.key === 'j' ? Math.min(index + 1, listedMessages.length - 1) : Math.max(index - 1, 0)];
+                if (!next) return;
+                setSelectedMessageId(next.id);
+                document.getElementById(`message-${next.id}`)?.scrollIntoView({ block: 'nearest' });
+            } else if (selected && e.key === 'Enter' && !e.target.closest('button, a')) {
+                handleToggleRead(selected);
+            } else if (selected && e.key === 's') {
+                handleTogglePin(selected);
+            } else if (selected && e.key === 'x') {
+                setSelectedMessageId((listedMessages[index + 1] || listedMessages[index - 1])?.id ?? null);
+                handleDeleteMessage(selected);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleShortcut);
+        return () => window.removeEventListener('keydown', handleShortcut);
+    });
+
+    const unauthorizedCount = enabledTopics.filter(topic => connections[topic]?.unauthorized).length;
+    const connectedCount = enabledTopics.filter(topic => connections[topic]?.connected).length;
+    const activeTransports = [...new Set(enabledTopics
+        .filter(topic => connections[topic]?.connected)
+        .map(topic => getTransportLabel(connections[topic].transport)))];
+    const connectionErrors = enabledTopics
+        .filter(topic => connections[topic]?.error)
+        .map(topic => {
+            const { error, retryAt } = connections[topic];
+            return retryAt
+                ? `${topic}: ${error} Reconnecting in ${Math.max(0, Math.ceil((retryAt - now) / 1000))}s`
+                : `${topic}: ${error}`;
+        });
+
     return (
         <div className="bg-gray-900 text-white min-h-screen font-sans flex flex-col p-4 sm:p-6 md:p-8">
             <div className="max-w-4xl w-full mx-auto">
                 <header className="mb-8 text-center">
                     <h1 className="text-4xl md:text-5xl font-bold text-purple-400">ntfy.sh React Client</h1>
-                    <p className="text-gray-400 mt-2">Enhanced with Gemini AI ✨</p>
+                    {aiEnabled && <p className="text-gray-400 mt-2">Enhanced with {PROVIDERS[aiSettings.provider].label} ✨</p>}
+                    <select
+                        value={profile.id}
+                        onChange={(e) => handleSwitchProfile(e.target.value)}
+                        className="mt-4 bg-gray-800 border border-gray-700 rounded-md py-1 px-3 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 transition"
+                        aria-label="Server"
+                        title="Switch server"
+                    >
+                        {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        <option value="add">+ Add server…</option>
+                    </select>
                 </header>
 
                 <div id="messages" className="bg-gray-800 p-6 rounded-lg shadow-lg mb-8">
                     <div className="flex justify-between items-center mb-4">
                          <h2 className="text-2xl font-semibold text-purple-300">Received Messages</h2>
-                         <button onClick={handleSummarize} disabled={messages.length === 0 || isGenerating} className="bg-teal-600 hover:bg-teal-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center gap-2">
-                            {isGenerating ? '...' : '✨ Summarize'}
-                         </button>
+                         {aiEnabled && (
+                            <div className="flex gap-2">
+                                <button onClick={() => runAiReport('summary')} disabled={messages.length === 0 || isGenerating} className="bg-teal-600 hover:bg-teal-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center gap-2">
+                                    {isGenerating ? '...' : '✨ Summarize'}
+                                </button>
+                                <button onClick={() => runAiReport('triage')} disabled={messages.length === 0 || isGenerating} className="bg-teal-600 hover:bg-teal-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center gap-2" title="Group related messages and flag likely incidents">
+                                    {isGenerating ? '...' : '✨ Triage'}
+                                </button>
+                            </div>
+                         )}
+                    </div>
+                    {subscriptions.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mb-4" role="tablist">
+                            {[ALL_TOPICS, ...subscriptions.map(sub => sub.topic)].map(view => {
+                                const unread = view === ALL_TOPICS ? unreadTotal : countUnread([view]);
+                                return (
+                                    <button
+                                        key={view || 'all'}
+                                        role="tab"
+                                        aria-selected={activeView === view}
+                                        onClick={() => setActiveView(view)}
+                                        className={`text-sm px-3 py-1 rounded-full transition duration-300 flex items-center gap-2 ${activeView === view ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                                    >
+                                        {view === ALL_TOPICS ? 'All topics' : view}
+                                        {unread > 0 && <span className="bg-red-500 text-white text-xs font-bold rounded-full px-2">{unread}</span>}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    )}
+                    <FilterBar filter={filter} onChange={setFilter} tags={knownTags} />
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-xs">
+                        <span className="text-gray-400">
+                            {!isFilterEmpty(filter) && `${messages.length} matching message(s) in the history`}
+                        </span>
+                        <span className="flex items-center gap-3">
+                            <span className="text-gray-500" title="Select with j and k, then press Enter to mark read or unread, s to pin and x to delete">j/k · Enter · s · x</span>
+                            <button onClick={handleMarkAllRead} disabled={viewUnread === 0} className="text-purple-300 hover:text-purple-100 disabled:text-gray-500">Mark all read</button>
+                        </span>
                     </div>
-                    <div className="space-y-4 max-h-[50vh] overflow-y-auto pr-2 custom-scrollbar">
+                    {pinnedMessages.length > 0 && (
+                        <div className="mb-4">
+                            <h3 className="text-sm font-medium text-gray-300 mb-2">Pinned</h3>
+                            <div className="space-y-4 max-h-[30vh] overflow-y-auto pr-2 custom-scrollbar">
+                                {pinnedMessages.map(msg => renderMessage(msg))}
+                            </div>
+                        </div>
+                    )}
+                    <div className="space-y-4 max-h-[50vh] overflow-y-auto pr-2 custom-scrollbar" onScroll={handleMessagesScroll}>
                         {messages.length > 0 ? (
-                            messages.map((msg) => (
-                                <div key={msg.id} className="bg-gray-700 p-4 rounded-md shadow animate-fade-in">
-                                    <div className="flex justify-between items-center mb-2">
-                                        <span className="font-bold text-purple-400 break-all">{msg.title || 'No Title'}</span>
-                                        <span className="text-xs text-gray-400 flex-shrink-0 ml-2">{new Date(msg.time * 1000).toLocaleString()}</span>
-                                    </div>
-                                    <ClickableMessage text={msg.message} />
-                                    {msg.tags && msg.tags.length > 0 && (<div className="mt-2 flex flex-wrap gap-2">{msg.tags.map(tag => (<span key={tag} className="bg-gray-600 text-xs text-gray-300 px-2 py-1 rounded-full">{tag}</span>))}</div>)}
-                                </div>
-                            ))
+                            unpinnedMessages.map(msg => renderMessage(msg))
                         ) : (
-                            <p className="text-gray-400 text-center py-4">Waiting for notifications on topic: "{topic}"</p>
+                            <p className="text-gray-400 text-center py-4">
+                                {!isFilterEmpty(filter)
+                                    ? 'No messages match the current filter.'
+                                    : activeView !== ALL_TOPICS
+                                    ? `Waiting for notifications on topic: "${activeView}"`
+                                    : enabledTopics.length > 0 ? `Waiting for notifications on ${enabledTopics.length} topic(s)` : 'Subscribe to a topic to receive notifications'}
+                            </p>
+                        )}
+                        {(hasOlderMessages || canLoadFromServer) && viewTopics.length > 0 && (
+                            <button onClick={hasOlderMessages ? loadOlderMessages : loadOlderFromServer} disabled={isLoadingOlder} className="w-full text-sm text-gray-400 hover:text-white py-2">
+                                {isLoadingOlder ? 'Loading older messages...' : hasOlderMessages ? 'Load older messages' : 'Load older messages from server'}
+                            </button>
                         )}
                     </div>
                 </div>
                 <div id="settings" className="bg-gray-800 p-6 rounded-lg shadow-lg mb-8">
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        
-                        <div>
-                             <label htmlFor="server" className="block text-sm font-medium text-gray-300 mb-2">ntfy Server</label>
-                             <input id="server" type="text" value={server} onChange={(e) => setServer(e.target.value)} className="w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 focus:outline-none focus:ring-2 focus:ring-purple-500 transition" placeholder="e.g., https://ntfy.sh" />
-                        </div>
-                        <div>
-                            <label htmlFor="topic" className="block text-sm font-medium text-gray-300 mb-2">Topic</label>
-                            <input id="topic" type="text" value={topic} onChange={(e) => setTopic(e.target.value)} className="w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 focus:outline-none focus:ring-2 focus:ring-purple-500 transition" placeholder="Enter a topic to subscribe" />
+                    <ServerProfileForm profile={profile} canDelete={profiles.length > 1} onSave={handleSaveProfile} onDelete={handleDeleteProfile} />
+                    <div className="mt-4">
+                        <label htmlFor="topic" className="block text-sm font-medium text-gray-300 mb-2">Subscribe to Topic</label>
+                        <div className="flex gap-2">
+                            <input id="topic" type="text" value={newTopic} onChange={(e) => setNewTopic(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && handleAddTopic()} className={inputClassName} placeholder="Enter a topic to subscribe" />
+                            <button onClick={handleAddTopic} disabled={!newTopic.trim()} className="bg-purple-600 hover:bg-purple-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed">Add</button>
                         </div>
                     </div>
                     <div className="flex items-center justify-between mt-4">
                         <div className="text-sm">
                             Connection Status:
-                            <span className={`ml-2 font-semibold ${connected ? 'text-green-400' : 'text-red-400'}`}>{connected ? 'Connected' : 'Disconnected'}</span>
+                            <span className={`ml-2 font-semibold ${enabledTopics.length > 0 && connectedCount === enabledTopics.length ? 'text-green-400' : 'text-red-400'}`}>
+                                {connectedCount > 0 ? `Connected (${connectedCount}/${enabledTopics.length})` : unauthorizedCount > 0 ? 'Unauthorized' : 'Disconnected'}
+                            </span>
+                            {activeTransports.length > 0 && ( <span className="ml-2 text-gray-400 text-xs">via {activeTransports.join(', ')}</span> )}
                             {errorInfo && ( <span className="ml-2 text-yellow-500 text-xs">({errorInfo})</span> )}
+                            {connectionErrors.map(error => ( <span key={error} className="block text-yellow-500 text-xs">{error}</span> ))}
                         </div>
                          <button onClick={handleClearMessages} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm">Clear Messages</button>
                     </div>
 
-                    {previousTopics.length > 0 && (
+                    {subscriptions.length > 0 && (
                         <div className="mt-6">
-                            <h3 className="text-lg font-medium text-gray-300 mb-2">Previous Topics</h3>
+                            <h3 className="text-lg font-medium text-gray-300 mb-2">Subscriptions</h3>
                             <div className="flex flex-wrap gap-2">
-                                {previousTopics.map((prevTopic, index) => (
-                                    <div key={index} className="flex items-center bg-gray-700 rounded-full pr-1">
+                                {subscriptions.map(({ topic, enabled, webPush }) => (
+                                    <div key={topic} className={`flex items-center rounded-full pr-1 ${enabled ? 'bg-gray-700' : 'bg-gray-700 bg-opacity-50'}`}>
+                                        <button
+                                            onClick={() => handleToggleTopic(topic)}
+                                            className="pl-3 py-1"
+                                            aria-label={`${enabled ? 'Pause' : 'Resume'} topic ${topic}`}
+                                            title={!enabled ? 'Paused – click to resume' : [
+                                                'Subscribed – click to pause',
+                                                connections[topic]?.transport && `via ${getTransportLabel(connections[topic].transport)}`,
+                                                connections[topic]?.lastKeepalive && `last keepalive ${new Date(connections[topic].lastKeepalive).toLocaleTimeString()}`,
+                                            ].filter(Boolean).join(' · ')}
+                                        >
+                                            {enabled && connections[topic]?.unauthorized
+                                                ? <span aria-label="Unauthorized">🔒</span>
+                                                : <span className={`inline-block w-2 h-2 rounded-full ${!enabled ? 'bg-gray-500' : connections[topic]?.connected ? 'bg-green-400' : connections[topic]?.retryAt ? 'bg-yellow-400' : 'bg-red-400'}`} />}
+                                        </button>
+                                        <button
+                                            onClick={() => setActiveView(topic)}
+                                            className={`text-sm px-2 py-1 transition duration-300 ${enabled ? 'text-gray-200' : 'text-gray-500 line-through'}`}
+                                        >
+                                            {topic}
+                                            {isSilenced(getRules(notificationRules[topic])) && <span className="ml-1" title="Notifications muted or snoozed">🔇</span>}
+                                        </button>
                                         <button
-                                            onClick={() => handleTopicClick(prevTopic)}
-                                            className="text-gray-200 text-sm px-3 py-1 transition duration-300"
+                                            onClick={() => handleToggleWebPush(topic)}
+                                            className={`p-1 rounded-full hover:bg-gray-600 transition duration-300 ${webPush ? '' : 'opacity-40'}`}
+                                            aria-pressed={!!webPush}
+                                            aria-label={`Background notifications for ${topic}`}
+                                            title={webPush ? 'Background notifications on – click to turn off' : 'Notify me even when the app is closed'}
                                         >
-                                            {prevTopic}
+                                            {webPush ? '🔔' : '🔕'}
                                         </button>
                                         <button
-                                            onClick={() => handleRemoveTopic(prevTopic)}
+                                            onClick={() => handleRemoveTopic(topic)}
                                             className="text-gray-400 hover:text-red-400 ml-1 p-1 rounded-full hover:bg-gray-600 transition duration-300"
-                                            aria-label={`Remove topic ${prevTopic}`}
+                                            aria-label={`Remove topic ${topic}`}
                                         >
                                             &times;
                                         </button>
@@ -433,40 +1473,149 @@ const App = () => {
                             </div>
                         </div>
                     )}
+
+                    <Diagnostics
+                        server={cleanServer}
+                        topics={enabledTopics}
+                        connections={connections}
+                        eventLogs={eventLogs}
+                        messagesByTopic={messagesByTopic}
+                        onTestRoundTrip={(topic) => client.testRoundTrip(topic)}
+                    />
+                    <CredentialsForm server={cleanServer} auth={serverAuth} onSave={handleSaveCredentials} />
+                    <NotificationRules
+                        topics={subscriptions.map(sub => sub.topic)}
+                        rules={notificationRules}
+                        onChange={handleSaveNotificationRules}
+                    />
+                    <RetentionSettings topics={subscriptions.map(sub => sub.topic)} retention={retention} onSave={handleSaveRetention} />
+                    <AiSettings settings={aiSettings} onSave={handleSaveAiSettings} />
+                    <ImportExport
+                        topics={subscriptions.map(sub => sub.topic)}
+                        shareLink={enabledTopics.length > 0 ? buildShareLink(cleanServer, enabledTopics) : null}
+                        onExportConfig={handleExportConfig}
+                        onImportConfig={handleImportConfig}
+                        onExportHistory={handleExportHistory}
+                        onImportHistory={handleImportHistory}
+                    />
                 </div>
 
-                <div id="send" className="bg-gray-800 p-6 rounded-lg shadow-lg mb-8">
+                <div
+                    id="send"
+                    className={`bg-gray-800 p-6 rounded-lg shadow-lg mb-8 transition ${isDraggingFile ? 'ring-2 ring-purple-500' : ''}`}
+                    onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+                    onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false); }}
+                    onDrop={handleFileDrop}
+                >
                     <h2 className="text-2xl font-semibold mb-4 text-purple-300">Send Notification</h2>
+                    <div className="mb-4">
+                        <Templates
+                            templates={templates}
+                            canSave={!!(newTitle.trim() || newMessage.trim())}
+                            onSave={handleSaveTemplate}
+                            onDelete={handleDeleteTemplate}
+                            onFill={handleFillTemplate}
+                            onSend={handleSendTemplate}
+                            onRepeat={handleRepeatTemplate}
+                        />
+                    </div>
+                    {draft && (
+                        <DraftSuggestion draft={draft} isGenerating={isGenerating} onChange={setDraft} onApply={handleApplyDraft} onDiscard={handleDiscardDraft} />
+                    )}
                     <div className="flex flex-col gap-4">
+                         {activeView === ALL_TOPICS && (
+                            <input
+                                type="text"
+                                list="subscribed-topics"
+                                value={publishTopic}
+                                onChange={(e) => setPublishTopic(e.target.value)}
+                                className={inputClassName}
+                                placeholder={enabledTopics[0] ? `Topic to publish to (default: ${enabledTopics[0]})` : 'Topic to publish to'}
+                            />
+                         )}
+                         <datalist id="subscribed-topics">
+                            {subscriptions.map(sub => <option key={sub.topic} value={sub.topic} />)}
+                         </datalist>
                          <input
                             type="text"
                             value={newTitle}
                             onChange={(e) => setNewTitle(e.target.value)}
-                            className="w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 focus:outline-none focus:ring-2 focus:ring-purple-500 transition"
+                            className={inputClassName}
                             placeholder="Notification Title (optional)"
                          />
                          <textarea
                             value={newMessage}
                             onChange={(e) => setNewMessage(e.target.value)}
                             onKeyPress={handleKeyPress}
-                            className="flex-grow bg-gray-700 border border-gray-600 rounded-md py-2 px-3 focus:outline-none focus:ring-2 focus:ring-purple-500 transition h-24 resize-none"
-                            placeholder="Type a message or a prompt for Gemini AI..."
+                            ref={messageInputRef}
+                            className={`flex-grow ${fieldClassName} py-2 px-3 h-24 resize-none`}
+                            placeholder={aiEnabled ? `Type a message or a prompt for ${PROVIDERS[aiSettings.provider].label}...` : "Type a message..."}
                          />
+                         <button
+                            onClick={() => setShowPublishOptions(show => !show)}
+                            className="self-start text-sm text-purple-300 hover:text-purple-200"
+                            aria-expanded={showPublishOptions}
+                         >
+                            {showPublishOptions ? '▾ Hide options' : '▸ More options (priority, tags, actions, …)'}
+                         </button>
+                         {showPublishOptions && <PublishOptions options={publishOptions} onChange={setPublishOptions} />}
+                         <div className="flex items-center gap-2 flex-wrap">
+                            <input ref={fileInputRef} type="file" onChange={handleFileSelect} className="hidden" />
+                            <button onClick={() => fileInputRef.current?.click()} disabled={isSending} className="bg-gray-600 hover:bg-gray-500 text-white text-sm font-bold py-1 px-3 rounded-md transition duration-300 disabled:cursor-not-allowed">📎 Attach file</button>
+                            {attachmentFile ? (
+                                <span className="flex items-center bg-gray-700 rounded-full pl-3 pr-1 text-sm text-gray-200">
+                                    {attachmentFile.name} ({formatBytes(attachmentFile.size)})
+                                    <button
+                                        onClick={() => setAttachmentFile(null)}
+                                        disabled={isSending}
+                                        className="text-gray-400 hover:text-red-400 ml-1 p-1 rounded-full hover:bg-gray-600 transition duration-300"
+                                        aria-label="Remove attachment"
+                                    >
+                                        &times;
+                                    </button>
+                                </span>
+                            ) : (
+                                <span className="text-xs text-gray-500">or drop a file here</span>
+                            )}
+                         </div>
+                         {uploadProgress !== null && (
+                            <div className="w-full bg-gray-700 rounded-full h-2" role="progressbar" aria-valuenow={Math.round(uploadProgress * 100)} aria-valuemin={0} aria-valuemax={100}>
+                                <div className="bg-purple-500 h-2 rounded-full transition-all" style={{ width: `${uploadProgress * 100}%` }} />
+                            </div>
+                         )}
+                         {sendStatus && (
+                            <p className={`text-sm ${sendStatus.error ? 'text-red-400' : 'text-green-400'}`} role="status">{sendStatus.text}</p>
+                         )}
                          <div className="flex flex-col sm:flex-row gap-2">
-                             <button onClick={sendMessage} disabled={!newMessage.trim() || !topic.trim() || isGenerating} className="flex-1 bg-purple-600 hover:bg-purple-500 text-white font-bold py-2 px-5 rounded-md transition duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed">Send</button>
-                             <button onClick={handleGenerateMessage} disabled={!newMessage.trim() || isGenerating} className="flex-1 bg-teal-600 hover:bg-teal-500 text-white font-bold py-2 px-5 rounded-md transition duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center gap-2">
-                                 {isGenerating ? 'Generating...' : '✨ Generate Message'}
-                             </button>
+                             <button onClick={sendMessage} disabled={(!newMessage.trim() && !attachmentFile) || !targetTopic || isGenerating || isSending} className="flex-1 bg-purple-600 hover:bg-purple-500 text-white font-bold py-2 px-5 rounded-md transition duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed">{isSending ? 'Sending...' : 'Send'}</button>
+                             {aiEnabled && (
+                                 <button onClick={handleGenerateMessage} disabled={!newMessage.trim() || isGenerating} className="flex-1 bg-teal-600 hover:bg-teal-500 text-white font-bold py-2 px-5 rounded-md transition duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center gap-2">
+                                     {isGenerating ? 'Generating...' : '✨ Generate Message'}
+                                 </button>
+                             )}
                          </div>
                     </div>
                 </div>
 
+                <div id="scheduled" className="bg-gray-800 p-6 rounded-lg shadow-lg mb-8">
+                    <h2 className="text-2xl font-semibold mb-4 text-purple-300">Scheduled &amp; Sent</h2>
+                    <SendHistory
+                        recurring={recurring.filter(job => job.server === cleanServer)}
+                        scheduled={scheduledMessages}
+                        sent={sendHistory.filter(entry => entry.server === cleanServer)}
+                        onToggleRecurring={handleToggleRecurring}
+                        onDeleteRecurring={handleDeleteRecurring}
+                        onLoadScheduled={loadScheduledMessages}
+                        onResend={handleResend}
+                        onEdit={handleEditSent}
+                    />
+                </div>
+
             </div>
 
-            {isSummaryModalOpen && (
-                <Modal onClose={() => setIsSummaryModalOpen(false)}>
-                    <h2 className="text-2xl font-semibold mb-4 text-teal-300">✨ Message Summary</h2>
-                    <p className="text-gray-300 whitespace-pre-wrap">{summary}</p>
+            {aiReport && (
+                <Modal onClose={handleCloseAiReport}>
+                    <AiReport report={aiReport} isGenerating={isGenerating} onRun={runAiReport} onCite={handleCite} />
                 </Modal>
             )}
 
@@ -482,4 +1631,4 @@ const App = () => {
     );
 };
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,166 @@
+/**
+ * AI providers used to write and summarize notifications. Every provider turns a prompt
+ * into a streamed HTTP request and reads text tokens back from the response, so the
+ * rest of the client only deals with `generateText`.
+ *
+ * A provider has a `label`, the `url` and `model` it defaults to, whether it `needsKey`,
+ * a `request(settings, prompt)` function returning `[url, fetchOptions]`, the `format`
+ * of the streamed response (`sse` or `ndjson`) and a `readToken(event)` function that
+ * returns the text in one parsed event.
+ */
+
+export const PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        url: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-2.0-flash',
+        needsKey: true,
+        format: 'sse',
+        request: ({ url, model, apiKey }, prompt) => [
+            `${url}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(apiKey)}`,
+            {
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text: prompt }] }] }),
+            },
+        ],
+        readToken: (event) => event.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '',
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        url: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        needsKey: false,
+        format: 'sse',
+        request: ({ url, model, apiKey }, prompt) => [
+            `${url}/chat/completions`,
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                },
+                body: JSON.stringify({ model, stream: true, messages: [{ role: 'user', content: prompt }] }),
+            },
+        ],
+        readToken: (event) => event.choices?.[0]?.delta?.content || '',
+    },
+    ollama: {
+        label: 'Ollama',
+        url: 'http://localhost:11434',
+        model: 'llama3.2',
+        needsKey: false,
+        format: 'ndjson',
+        request: ({ url, model }, prompt) => [
+            `${url}/api/generate`,
+            {
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model, prompt, stream: true }),
+            },
+        ],
+        readToken: (event) => event.response || '',
+    },
+};
+
+// `provider` is a key of `PROVIDERS` or `disabled`; an empty `url` or `model` means the provider's default.
+export const DEFAULT_AI_SETTINGS = {
+    provider: 'disabled',
+    url: '',
+    model: '',
+    apiKey: '',
+};
+
+/**
+ * Whether the settings name a usable provider, i.e. one that is known and has the key it needs.
+ * @param {object} settings - The AI settings, see `DEFAULT_AI_SETTINGS`.
+ */
+export const isAiEnabled = (settings) => {
+    const provider = PROVIDERS[settings?.provider];
+    return !!provider && (!provider.needsKey || !!settings.apiKey);
+};
+
+/**
+ * Reads a streamed response line by line.
+ * @param {Response} response - The response to read.
+ * @param {function(string): void} onLine - Called with every non-empty line.
+ */
+const readLines = async (response, onLine) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+
+        for (const line of lines) {
+            if (line.trim() !== '') onLine(line.trim());
+        }
+        if (done) return;
+    }
+};
+
+/**
+ * Reads the error message of a failed provider request, falling back to the status text.
+ * @param {Response} response - The failed response.
+ */
+const readError = async (response) => {
+    try {
+        const body = await response.json();
+        const error = Array.isArray(body) ? body[0]?.error : body.error;
+        return (typeof error === 'string' ? error : error?.message) || `${response.status} ${response.statusText}`;
+    } catch (e) {
+        return `${response.status} ${response.statusText}`;
+    }
+};
+
+/**
+ * Sends a prompt to the configured provider and streams the answer back.
+ * @param {object} settings - The AI settings, see `DEFAULT_AI_SETTINGS`.
+ * @param {string} prompt - The prompt.
+ * @param {{onToken: function(string, string): void, signal: AbortSignal}} [options] - `onToken`
+ *     is called with every new piece of text and the text so far.
+ * @returns {Promise<string>} The whole answer.
+ */
+export const generateText = async (settings, prompt, { onToken = () => {}, signal } = {}) => {
+    const provider = PROVIDERS[settings.provider];
+    if (!provider) throw new Error('No AI provider is configured.');
+    if (provider.needsKey && !settings.apiKey) throw new Error(`${provider.label} needs an API key.`);
+
+    const [url, options] = provider.request({
+        url: (settings.url || provider.url).replace(/\/$/, ''),
+        model: settings.model || provider.model,
+        apiKey: settings.apiKey,
+    }, prompt);
+    const response = await fetch(url, { method: 'POST', signal, ...options });
+    if (!response.ok) {
+        throw new Error(`${provider.label} request failed: ${await readError(response)}`);
+    }
+
+    let text = '';
+    await readLines(response, (line) => {
+        let data = line;
+        if (provider.format === 'sse') {
+            // Only `data:` lines carry tokens; OpenAI ends the stream with `data: [DONE]`.
+            if (!line.startsWith('data:')) return;
+            data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+        }
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (e) {
+            console.error('Failed to parse AI response chunk:', line, e);
+            return;
+        }
+        if (event.error) {
+            throw new Error(typeof event.error === 'string' ? event.error : event.error.message);
+        }
+        const token = provider.readToken(event);
+        if (token) {
+            text += token;
+            onToken(token, text);
+        }
+    });
+    return text;
+};
@@ -0,0 +1,165 @@
+/**
+ * Prompts for the ✨ features and parsers for their answers. Answers are asked for in a
+ * simple line format instead of JSON, so they can be parsed while they are still being
+ * streamed and shown as they grow.
+ */
+
+import { PRIORITIES } from './publish.js';
+
+// The most messages sent in one prompt; the newest ones are kept.
+export const MAX_PROMPT_MESSAGES = 200;
+
+// Time windows a summary or triage can be limited to, in milliseconds.
+export const TIME_WINDOWS = [
+    { value: '', label: 'Everything in the current view' },
+    { value: '1h', label: 'Last hour', duration: 60 * 60 * 1000 },
+    { value: '24h', label: 'Last 24 hours', duration: 24 * 60 * 60 * 1000 },
+    { value: '7d', label: 'Last 7 days', duration: 7 * 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Returns when a time window starts.
+ * @param {string} window - A `TIME_WINDOWS` value.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {number} The Unix time in seconds, or 0 for everything.
+ */
+export const getWindowStart = (window, now = Date.now()) => {
+    const duration = TIME_WINDOWS.find(({ value }) => value === window)?.duration;
+    return duration ? (now - duration) / 1000 : 0;
+};
+
+/**
+ * Returns the messages published within a time window, newest first and at most
+ * `MAX_PROMPT_MESSAGES` of them.
+ * @param {object[]} messages - The messages.
+ * @param {string} window - A `TIME_WINDOWS` value.
+ * @param {number} [now] - The current time in milliseconds.
+ */
+export const selectMessages = (messages, window, now = Date.now()) => {
+    const since = getWindowStart(window, now);
+    return messages
+        .filter(msg => msg.time >= since)
+        .sort((a, b) => b.time - a.time)
+        .slice(0, MAX_PROMPT_MESSAGES);
+};
+
+/**
+ * Describes one message per line, starting with its id in brackets so answers can cite it.
+ * @param {object[]} messages - The messages.
+ */
+const describeMessages = (messages) => messages.map(msg => [
+    `[${msg.id}]`,
+    new Date(msg.time * 1000).toISOString(),
+    `topic=${msg.topic}`,
+    `priority=${msg.priority || 3}`,
+    msg.tags?.length ? `tags=${msg.tags.join(',')}` : '',
+    msg.title ? `title="${msg.title}"` : '',
+    `message="${(msg.message || '').replace(/\s+/g, ' ')}"`,
+].filter(Boolean).join(' ')).join('\n');
+
+/**
+ * Builds the prompt for a summary that cites the messages it is based on.
+ * @param {object[]} messages - The messages to summarize, newest first.
+ */
+export const buildSummaryPrompt = (messages) => `Summarize the following notifications in a few short bullet points, most important first.
+After each point, cite the messages it is based on by their id in square brackets, e.g. [${messages[0]?.id || 'abc123'}].
+Only cite ids from the list. Each line lists the id, the time (UTC), topic, priority (1 = min, 5 = urgent), tags, title and message.
+
+${describeMessages(messages)}`;
+
+/**
+ * Builds the prompt for a triage that groups related messages and flags incidents.
+ * @param {object[]} messages - The messages to triage, newest first.
+ */
+export const buildTriagePrompt = (messages) => `Triage the following notifications. Group messages that are about the same event, system or problem.
+Answer with one block per group, most urgent group first, in exactly this format:
+
+## <short group title>
+Incident: <yes if the group likely needs someone to act, otherwise no>
+Messages: <comma separated ids of the messages in the group>
+<one or two sentences on what happened>
+
+Every message belongs to exactly one group. Each line below lists the id, the time (UTC), topic, priority (1 = min, 5 = urgent), tags, title and message.
+
+${describeMessages(messages)}`;
+
+/**
+ * Builds the prompt for a draft notification with a title, tags and priority.
+ * @param {string} prompt - What the notification should be about.
+ */
+export const buildDraftPrompt = (prompt) => `Write a concise and friendly notification for the ntfy.sh service based on the prompt below.
+Answer in exactly this format, with the body as a single paragraph:
+
+Title: <a short title>
+Priority: <one of ${PRIORITIES.map(({ name }) => name).join(', ')}>
+Tags: <up to three comma separated tags; emoji shortcodes like warning or white_check_mark show as emojis>
+Body: <the message>
+
+Prompt: "${prompt}"`;
+
+/**
+ * Splits text into plain parts and message citations like `[abc123]`. Only ids in
+ * `knownIds` count as citations.
+ * @param {string} text - The text.
+ * @param {Set<string>} knownIds - The ids of the messages the answer may cite.
+ * @returns {{text: string, id: ?string}[]}
+ */
+export const splitCitations = (text, knownIds) => {
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(/\[([-_A-Za-z0-9, ]+)\]/g)) {
+        const ids = match[1].split(',').map(id => id.trim());
+        if (!ids.every(id => knownIds.has(id))) continue;
+        if (match.index > last) parts.push({ text: text.slice(last, match.index), id: null });
+        ids.forEach(id => parts.push({ text: id, id }));
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last), id: null });
+    return parts;
+};
+
+/**
+ * Parses a (possibly still streaming) triage answer into groups.
+ * @param {string} text - The answer so far.
+ * @param {Set<string>} knownIds - The ids of the triaged messages; other ids are dropped.
+ * @returns {{title: string, incident: boolean, ids: string[], summary: string}[]}
+ */
+export const parseTriage = (text, knownIds) => text
+    .split(/^##\s*/m)
+    .slice(1)
+    .map(block => {
+        const [title, ...lines] = block.split('\n');
+        const group = { title: title.trim(), incident: false, ids: [], summary: '' };
+        const summary = [];
+        for (const line of lines) {
+            const field = line.match(/^(Incident|Messages):\s*(.*)$/i);
+            if (field && field[1].toLowerCase() === 'incident') {
+                group.incident = /^yes/i.test(field[2].trim());
+            } else if (field) {
+                group.ids = field[2].split(/[\s,[\]]+/).filter(id => knownIds.has(id));
+            } else {
+                summary.push(line);
+            }
+        }
+        group.summary = summary.join('\n').trim();
+        return group;
+    });
+
+/**
+ * Parses a (possibly still streaming) draft answer into composer fields.
+ * @param {string} text - The answer so far.
+ * @returns {{title: string, priority: number, tags: string, message: string}}
+ */
+export const parseDraft = (text) => {
+    const field = (name) => text.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'))?.[1].trim() || '';
+    const priorityName = field('Priority').toLowerCase();
+    const priority = PRIORITIES.find(({ name, value }) => priorityName.startsWith(name) || priorityName === String(value));
+    const bodyMatch = text.match(/^Body:[ \t]*([\s\S]*)$/im);
+    return {
+        title: field('Title'),
+        priority: priority?.value || 3,
+        tags: field('Tags'),
+        // Answers that ignore the format are used as the body as they are.
+        message: bodyMatch ? bodyMatch[1].trim() : /^(Title|Priority|Tags):/im.test(text) ? '' : text.trim(),
+    };
+};
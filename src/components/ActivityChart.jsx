@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react';
+import { getMessageTimes } from '../messageStore.js';
+
+const HOUR = 60 * 60 * 1000;
+const HOURS = 24;
+// Literal class names so Tailwind keeps them; topics beyond the palette reuse its colours.
+const COLORS = ['bg-purple-500', 'bg-teal-500', 'bg-yellow-500', 'bg-pink-500', 'bg-blue-500', 'bg-green-500', 'bg-red-500', 'bg-indigo-500'];
+
+/**
+ * Counts messages per hour and topic for the last `HOURS` hours, oldest hour first.
+ * @param {Object<string, number[]>} timesByTopic - The publish times in Unix seconds keyed by topic.
+ * @param {number} firstHour - The start of the oldest hour in milliseconds.
+ * @returns {{start: number, counts: Object<string, number>, total: number}[]}
+ */
+const countPerHour = (timesByTopic, firstHour) => {
+    const buckets = Array.from({ length: HOURS }, (_, i) => ({ start: firstHour + i * HOUR, counts: {}, total: 0 }));
+    for (const [topic, times] of Object.entries(timesByTopic)) {
+        for (const time of times) {
+            const index = Math.floor((time * 1000 - firstHour) / HOUR);
+            if (index < 0 || index >= HOURS) continue;
+            buckets[index].counts[topic] = (buckets[index].counts[topic] || 0) + 1;
+            buckets[index].total++;
+        }
+    }
+    return buckets;
+};
+
+/**
+ * A stacked bar chart of the messages stored per hour and topic over the last day, read
+ * from the history store so it includes messages that aren't loaded into the list.
+ * @param {{server: string, topics: string[], messagesByTopic: Object<string, object[]>}} props - The component
+ *     props; the chart is read again whenever `messagesByTopic` changes, e.g. when a message arrives.
+ */
+const ActivityChart = ({ server, topics, messagesByTopic }) => {
+    const [timesByTopic, setTimesByTopic] = useState({});
+    const firstHour = Math.floor(Date.now() / HOUR) * HOUR - (HOURS - 1) * HOUR;
+    const topicsKey = topics.join(',');
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all(topics.map(topic => getMessageTimes(server, topic, firstHour / 1000)))
+            .then(results => {
+                if (!cancelled) setTimesByTopic(Object.fromEntries(topics.map((topic, i) => [topic, results[i]])));
+            })
+            .catch(error => console.error('Failed to read the message activity from IndexedDB', error));
+        return () => { cancelled = true; };
+    }, [server, topicsKey, messagesByTopic]);
+
+    const buckets = countPerHour(timesByTopic, firstHour);
+    const max = Math.max(1, ...buckets.map(bucket => bucket.total));
+    const hourLabel = (start) => new Date(start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    return (
+        <div>
+            <div className="flex items-end gap-px h-24 border-b border-gray-600" role="img" aria-label="Messages per hour over the last 24 hours">
+                {buckets.map(bucket => (
+                    <div key={bucket.start} className="flex-1 h-full flex flex-col-reverse" title={`${hourLabel(bucket.start)}: ${bucket.total} message${bucket.total === 1 ? '' : 's'}`}>
+                        {topics.filter(topic => bucket.counts[topic]).map(topic => (
+                            <div
+                                key={topic}
+                                className={COLORS[topics.indexOf(topic) % COLORS.length]}
+                                style={{ height: `${(bucket.counts[topic] / max) * 100}%` }}
+                            />
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{hourLabel(buckets[0].start)}</span>
+                <span>max {max}/h</span>
+                <span>now</span>
+            </div>
+            <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-400">
+                {topics.map((topic, index) => (
+                    <span key={topic} className="flex items-center gap-1">
+                        <span className={`inline-block w-2 h-2 rounded-sm ${COLORS[index % COLORS.length]}`} />
+                        {topic}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ActivityChart;
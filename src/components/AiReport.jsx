@@ -0,0 +1,98 @@
+import React from 'react';
+import { TIME_WINDOWS, parseTriage, splitCitations } from '../aiPrompts.js';
+import { compactInputClassName } from './styles.js';
+
+/**
+ * Text with message citations turned into numbered links to the cited messages.
+ * @param {{text: string, messages: object[], onCite: function}} props - The component props;
+ *     `messages` are the messages the text may cite, `onCite` is called with a message id.
+ */
+const CitedText = ({ text, messages, onCite }) => {
+    const ids = messages.map(msg => msg.id);
+    const parts = splitCitations(text, new Set(ids));
+    // Number citations by first appearance, so the same message always gets the same number.
+    const cited = [...new Set(parts.filter(part => part.id).map(part => part.id))];
+
+    return parts.map((part, index) => {
+        if (!part.id) return <React.Fragment key={index}>{part.text}</React.Fragment>;
+        const message = messages.find(msg => msg.id === part.id);
+        return (
+            <button
+                key={index}
+                onClick={() => onCite(part.id)}
+                className="text-xs text-teal-300 hover:text-teal-100 align-super mx-px"
+                title={message.title || message.message}
+            >
+                [{cited.indexOf(part.id) + 1}]
+            </button>
+        );
+    });
+};
+
+/**
+ * The body of the ✨ modal: a summary or a triage of the messages in the current view,
+ * limited to a time window, shown while it streams in.
+ * @param {{report: object, isGenerating: boolean, onRun: function, onCite: function}} props - The
+ *     component props; `report` is `{ mode, window, text, messages }` and `onRun` is called with
+ *     the mode and window to run next.
+ */
+const AiReport = ({ report, isGenerating, onRun, onCite }) => {
+    const { mode, window, text, messages } = report;
+    const groups = mode === 'triage' ? parseTriage(text, new Set(messages.map(msg => msg.id))) : [];
+
+    return (
+        <div>
+            <h2 className="text-2xl font-semibold mb-4 text-teal-300">{mode === 'triage' ? '✨ Message Triage' : '✨ Message Summary'}</h2>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                <select value={window} onChange={(e) => onRun(mode, e.target.value)} disabled={isGenerating} className={compactInputClassName} aria-label="Time window">
+                    {TIME_WINDOWS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <button
+                    onClick={() => onRun(mode === 'triage' ? 'summary' : 'triage', window)}
+                    disabled={isGenerating}
+                    className="text-sm text-gray-300 hover:text-white disabled:text-gray-500"
+                >
+                    {mode === 'triage' ? 'Summarize instead' : 'Triage instead'}
+                </button>
+                <span className="text-xs text-gray-500 ml-auto">Based on {messages.length} message(s) matching the current filter</span>
+            </div>
+            <div className="max-h-[60vh] overflow-y-auto pr-2 custom-scrollbar">
+                {messages.length === 0 ? (
+                    <p className="text-gray-400">No messages in this time window.</p>
+                ) : mode === 'triage' ? (
+                    groups.length > 0 ? (
+                        <div className="space-y-3">
+                            {groups.map((group, index) => (
+                                <div key={index} className={`p-3 rounded-md border-l-4 ${group.incident ? 'bg-red-900 bg-opacity-30 border-red-500' : 'bg-gray-700 border-gray-500'}`}>
+                                    <h3 className="font-semibold text-gray-100">
+                                        {group.incident && <span className="mr-1" title="Likely incident">🚨</span>}
+                                        {group.title}
+                                    </h3>
+                                    {group.summary && <p className="text-sm text-gray-300 whitespace-pre-wrap mt-1"><CitedText text={group.summary} messages={messages} onCite={onCite} /></p>}
+                                    {group.ids.length > 0 && (
+                                        <div className="flex flex-wrap gap-1 mt-2">
+                                            {group.ids.map(id => {
+                                                const message = messages.find(msg => msg.id === id);
+                                                return (
+                                                    <button key={id} onClick={() => onCite(id)} className="text-xs bg-gray-800 hover:bg-gray-600 text-gray-300 rounded-full px-2 py-0.5 max-w-[12rem] truncate">
+                                                        {message.title || message.message}
+                                                    </button>
+                                                );
+                                            })}
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="text-gray-300 whitespace-pre-wrap">{text || 'Triaging...'}</p>
+                    )
+                ) : (
+                    <p className="text-gray-300 whitespace-pre-wrap">{text ? <CitedText text={text} messages={messages} onCite={onCite} /> : 'Summarizing...'}</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AiReport;
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react';
+import { PROVIDERS } from '../ai.js';
+import { inputClassName } from './styles.js';
+
+/**
+ * A form to pick the AI provider behind the ✨ features, its endpoint, model and API key.
+ * @param {{settings: object, onSave: function}} props - The component props.
+ */
+const AiSettings = ({ settings, onSave }) => {
+    const [draft, setDraft] = useState(settings);
+
+    // Show the saved values again when they change elsewhere.
+    useEffect(() => {
+        setDraft(settings);
+    }, [settings]);
+
+    const provider = PROVIDERS[draft.provider];
+    const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+    return (
+        <div className="mt-6">
+            <h3 className="text-lg font-medium text-gray-300 mb-2">AI Assistant ✨</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <select
+                    value={draft.provider}
+                    onChange={(e) => update({ provider: e.target.value, url: '', model: '' })}
+                    className={inputClassName}
+                    aria-label="AI provider"
+                >
+                    <option value="disabled">Disabled</option>
+                    {Object.entries(PROVIDERS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                {provider && (
+                    <>
+                        <input type="text" value={draft.model} onChange={(e) => update({ model: e.target.value })} className={inputClassName} placeholder={`Model (${provider.model})`} aria-label="Model" />
+                        <input type="text" value={draft.url} onChange={(e) => update({ url: e.target.value })} className={inputClassName} placeholder={provider.url} aria-label="Endpoint URL" />
+                        <input type="password" value={draft.apiKey} onChange={(e) => update({ apiKey: e.target.value })} className={inputClassName} placeholder={provider.needsKey ? 'API key' : 'API key (optional)'} aria-label="API key" autoComplete="off" />
+                    </>
+                )}
+            </div>
+            <div className="flex items-center justify-between mt-2">
+                <p className="text-xs text-gray-500">
+                    {provider ? 'The key is stored in this browser only. Messages you summarize are sent to this provider.' : 'The ✨ buttons are hidden while the assistant is disabled.'}
+                </p>
+                <button onClick={() => onSave(draft)} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm">Save AI Settings</button>
+            </div>
+        </div>
+    );
+};
+
+export default AiSettings;
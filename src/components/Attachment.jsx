@@ -0,0 +1,55 @@
+import React from 'react';
+import { isSafeUrl } from '../safeUrl.js';
+
+/**
+ * Formats a byte count for display, e.g. `1.4 MB`.
+ * @param {number} bytes - The size in bytes.
+ */
+export const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / 1024 ** exponent;
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+};
+
+/**
+ * Renders the attachment of a received message: an inline preview for images,
+ * or a download card with the file size and expiry for everything else. An attachment
+ * whose URL isn't safe to open is shown by name only.
+ * @param {{attachment: {name: string, type?: string, size?: number, url: string, expires?: number}}} props
+ */
+const Attachment = ({ attachment }) => {
+    const { name, type, size, url, expires } = attachment;
+    const expired = expires && expires * 1000 < Date.now();
+    const canOpen = !expired && isSafeUrl(url);
+
+    if (type?.startsWith('image/') && canOpen) {
+        return (
+            <a href={url} target="_blank" rel="noopener noreferrer" className="block mt-2">
+                <img src={url} alt={name} loading="lazy" className="max-h-64 max-w-full rounded-md border border-gray-600" />
+            </a>
+        );
+    }
+
+    return (
+        <div className="mt-2 flex items-center gap-3 bg-gray-800 border border-gray-600 rounded-md p-3">
+            <span className="text-2xl" aria-hidden="true">📄</span>
+            <div className="min-w-0 flex-1">
+                {!canOpen ? (
+                    <span className="block text-gray-400 truncate">{name}</span>
+                ) : (
+                    <a href={url} target="_blank" rel="noopener noreferrer" download={name} className="block text-blue-400 hover:text-blue-300 underline truncate">{name}</a>
+                )}
+                <span className="text-xs text-gray-400">
+                    {[
+                        size ? formatBytes(size) : null,
+                        expires ? `${expired ? 'expired' : 'expires'} ${new Date(expires * 1000).toLocaleString()}` : null,
+                    ].filter(Boolean).join(' · ')}
+                </span>
+            </div>
+        </div>
+    );
+};
+
+export default Attachment;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+/**
+ * Renders text with every case-insensitive occurrence of `term` wrapped in a `<mark>`.
+ * @param {{text: string, term?: string}} props - The component props.
+ */
+export const Highlight = ({ text, term }) => {
+    if (!term || !term.trim()) return text;
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const parts = text.split(new RegExp(`(${escaped})`, 'gi'));
+
+    return parts.map((part, index) => (
+        index % 2 === 1
+            ? <mark key={index} className="bg-yellow-400 text-gray-900 rounded-sm">{part}</mark>
+            : part
+    ));
+};
+
+/**
+ * A component that renders text and automatically converts URLs into clickable links.
+ * Occurrences of `highlight`, e.g. the current search term, are marked.
+ * @param {{text: string, highlight?: string}} props - The component props.
+ */
+const ClickableMessage = ({ text, highlight }) => {
+    // Regex to find URLs in a string. It looks for http, https, or www protocols.
+    const urlRegex = /(https?:\/\/[^\s]+|www\.[^\s]+)/g;
+    const parts = text.split(urlRegex);
+
+    return (
+        <p className="text-gray-300 break-words whitespace-pre-wrap">
+            {parts.map((part, index) => {
+                if (part && part.match(urlRegex)) {
+                    // Prepend https:// if the URL starts with www. for it to be a valid link.
+                    const href = part.startsWith('www.') ? `https://${part}` : part;
+                    return (
+                        <a
+                            key={index}
+                            href={href}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-blue-400 hover:text-blue-300 underline"
+                        >
+                            <Highlight text={part} term={highlight} />
+                        </a>
+                    );
+                }
+                return <Highlight key={index} text={part} term={highlight} />;
+            })}
+        </p>
+    );
+};
+
+export default ClickableMessage;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import ActivityChart from './ActivityChart.jsx';
+import { getTransportLabel } from '../transports.js';
+import { fieldClassName } from './styles.js';
+import TopicSelect, { useSelectedTopic } from './TopicSelect.jsx';
+
+const formatTime = (time) => (time ? new Date(time).toLocaleTimeString() : '–');
+
+// One line of the event log: when the frame arrived, its event and the frame as JSON.
+const EventLine = ({ time, frame }) => (
+    <li className="whitespace-nowrap">
+        <span className="text-gray-500">{new Date(time).toLocaleTimeString()}</span>
+        <span className={`mx-2 ${frame.event === 'message' ? 'text-green-400' : frame.event === 'open' ? 'text-purple-300' : 'text-gray-400'}`}>{frame.event}</span>
+        <span className="text-gray-300">{JSON.stringify(frame)}</span>
+    </li>
+);
+
+/**
+ * Connection details for each subscription (transport, last keepalive, reconnects, how long
+ * connecting took, the last failure and the raw stream events), a round-trip test and a
+ * chart of the messages per hour. Collapsed until opened.
+ * @param {{server: string, topics: string[], connections: Object<string, object>, eventLogs: Object<string, object[]>,
+ *     messagesByTopic: Object<string, object[]>, onTestRoundTrip: function}} props - The component props;
+ *     `eventLogs` holds `{time, frame}` entries per topic, newest first, and `onTestRoundTrip` is called
+ *     with a topic and resolves like `client.testRoundTrip`.
+ */
+const Diagnostics = ({ server, topics, connections, eventLogs, messagesByTopic, onTestRoundTrip }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [topic, setTopic] = useSelectedTopic(topics);
+    // The running or finished round-trip test: { topic, result } or { topic, error }, or null.
+    const [roundTrip, setRoundTrip] = useState(null);
+
+    if (topics.length === 0) return null;
+
+    const connection = connections[topic] || {};
+    const events = eventLogs[topic] || [];
+    const isTesting = roundTrip !== null && !roundTrip.result && !roundTrip.error;
+
+    const handleTestRoundTrip = async () => {
+        setRoundTrip({ topic });
+        try {
+            setRoundTrip({ topic, result: await onTestRoundTrip(topic) });
+        } catch (error) {
+            setRoundTrip({ topic, error: error.message });
+        }
+    };
+
+    const stats = [
+        ['Status', connection.connected ? 'Connected' : connection.retryAt ? `Reconnecting at ${formatTime(connection.retryAt)}` : 'Disconnected'],
+        ['Transport', connection.transport ? getTransportLabel(connection.transport) : '–'],
+        ['Last keepalive', formatTime(connection.lastKeepalive)],
+        ['Reconnects', connection.reconnects || 0],
+        ['Connect latency', connection.latency !== undefined ? `${connection.latency} ms` : '–'],
+        ['Last failure', connection.failedAt ? `${formatTime(connection.failedAt)}${connection.failureStatus ? ` (HTTP ${connection.failureStatus})` : ''}` : '–'],
+    ];
+
+    return (
+        <div className="mt-6">
+            <button onClick={() => setIsOpen(open => !open)} className="text-lg font-medium text-gray-300" aria-expanded={isOpen}>
+                {isOpen ? '▾' : '▸'} Diagnostics
+            </button>
+            {isOpen && (
+                <div className="mt-2 space-y-4">
+                    <div className="flex flex-wrap items-center gap-2">
+                        <TopicSelect topics={topics} value={topic} onChange={setTopic} className={`${fieldClassName} py-2 px-3`} />
+                        <button
+                            onClick={handleTestRoundTrip}
+                            disabled={isTesting}
+                            className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed"
+                            title="Publish a test message to this topic and time how long it takes to come back"
+                        >
+                            {isTesting ? 'Testing...' : 'Test Round-Trip'}
+                        </button>
+                        {roundTrip?.topic === topic && roundTrip.result && (
+                            <span className="text-sm text-green-400" role="status">
+                                Received after {roundTrip.result.roundTrip} ms (accepted after {roundTrip.result.publish} ms)
+                            </span>
+                        )}
+                        {roundTrip?.topic === topic && roundTrip.error && (
+                            <span className="text-sm text-red-400" role="status">{roundTrip.error}</span>
+                        )}
+                    </div>
+                    <dl className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+                        {stats.map(([label, value]) => (
+                            <div key={label}>
+                                <dt className="text-xs text-gray-400">{label}</dt>
+                                <dd className="text-gray-200">{value}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                    {connection.error && <p className="text-xs text-yellow-500">{connection.error}</p>}
+                    <div>
+                        <h4 className="text-sm text-gray-400 mb-1">Event log</h4>
+                        {events.length > 0 ? (
+                            <ul className="font-mono text-xs bg-gray-900 rounded-md p-2 max-h-48 overflow-auto custom-scrollbar">
+                                {events.map((entry, index) => <EventLine key={`${entry.time}-${index}`} {...entry} />)}
+                            </ul>
+                        ) : (
+                            <p className="text-xs text-gray-500">No events received yet.</p>
+                        )}
+                    </div>
+                    <div>
+                        <h4 className="text-sm text-gray-400 mb-1">Messages per hour</h4>
+                        <ActivityChart server={server} topics={topics} messagesByTopic={messagesByTopic} />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Diagnostics;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { PRIORITIES } from '../publish.js';
+import { inputClassName } from './styles.js';
+
+/**
+ * A drafted notification, editable before it is copied into the composer. The fields stay
+ * disabled while it is written, since every streamed token replaces the whole draft.
+ * @param {{draft: object, isGenerating: boolean, onChange: function, onApply: function, onDiscard: function}} props - The
+ *     component props; `draft` is `{ title, priority, tags, message }`.
+ */
+const DraftSuggestion = ({ draft, isGenerating, onChange, onApply, onDiscard }) => {
+    const setField = (name, value) => onChange({ ...draft, [name]: value });
+    const fieldClassName = `${inputClassName} disabled:opacity-50`;
+
+    return (
+        <div className="mb-4 p-4 rounded-md border border-teal-600 bg-gray-900 bg-opacity-50">
+            <h3 className="text-sm font-semibold text-teal-300 mb-2">✨ Suggestion {isGenerating && <span className="text-gray-400 font-normal">(writing...)</span>}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                <input type="text" value={draft.title} onChange={(e) => setField('title', e.target.value)} disabled={isGenerating} className={`${fieldClassName} md:col-span-2`} placeholder="Title" aria-label="Suggested title" />
+                <input type="text" value={draft.tags} onChange={(e) => setField('tags', e.target.value)} disabled={isGenerating} className={fieldClassName} placeholder="Tags" aria-label="Suggested tags" />
+                <select value={draft.priority} onChange={(e) => setField('priority', Number(e.target.value))} disabled={isGenerating} className={fieldClassName} aria-label="Suggested priority">
+                    {PRIORITIES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <textarea value={draft.message} onChange={(e) => setField('message', e.target.value)} disabled={isGenerating} rows="3" className={`${fieldClassName} md:col-span-4`} placeholder="Message" aria-label="Suggested message" />
+            </div>
+            <div className="flex justify-end gap-2 mt-2">
+                <button onClick={onDiscard} className="text-sm text-gray-400 hover:text-white px-3">Discard</button>
+                <button onClick={onApply} disabled={isGenerating || !draft.message.trim()} className="bg-teal-600 hover:bg-teal-500 text-white font-bold py-1 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed">Use Suggestion</button>
+            </div>
+        </div>
+    );
+};
+
+export default DraftSuggestion;
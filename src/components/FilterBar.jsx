@@ -0,0 +1,61 @@
+import React from 'react';
+import { EMPTY_FILTER, SORT_ORDERS, isFilterEmpty } from '../filters.js';
+import { PRIORITIES } from '../publish.js';
+import { compactInputClassName } from './styles.js';
+
+/**
+ * The search, filter and sort controls above the message list.
+ * @param {{filter: object, onChange: function, tags: string[]}} props - The component props;
+ *     `tags` are the tags seen in the history, offered as suggestions.
+ */
+const FilterBar = ({ filter, onChange, tags }) => {
+    const setField = (name, value) => onChange({ ...filter, [name]: value });
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+            <input
+                type="search"
+                value={filter.q}
+                onChange={(e) => setField('q', e.target.value)}
+                className={`${compactInputClassName} flex-1 min-w-[12rem]`}
+                placeholder="Search title and message..."
+                aria-label="Search messages"
+            />
+            <input
+                type="text"
+                list="known-tags"
+                value={filter.tag}
+                onChange={(e) => setField('tag', e.target.value.trim())}
+                className={`${compactInputClassName} w-28`}
+                placeholder="Tag"
+                aria-label="Filter by tag"
+            />
+            <datalist id="known-tags">
+                {tags.map(tag => <option key={tag} value={tag} />)}
+            </datalist>
+            <span className="flex items-center gap-1 text-sm text-gray-400">
+                Priority
+                <select value={filter.minPriority} onChange={(e) => setField('minPriority', Number(e.target.value))} className={compactInputClassName} aria-label="Minimum priority">
+                    {PRIORITIES.filter(({ value }) => value <= filter.maxPriority).map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                –
+                <select value={filter.maxPriority} onChange={(e) => setField('maxPriority', Number(e.target.value))} className={compactInputClassName} aria-label="Maximum priority">
+                    {PRIORITIES.filter(({ value }) => value >= filter.minPriority).map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </span>
+            <span className="flex items-center gap-1 text-sm text-gray-400">
+                <input type="date" value={filter.from} max={filter.to || undefined} onChange={(e) => setField('from', e.target.value)} className={compactInputClassName} aria-label="From date" />
+                –
+                <input type="date" value={filter.to} min={filter.from || undefined} onChange={(e) => setField('to', e.target.value)} className={compactInputClassName} aria-label="To date" />
+            </span>
+            <select value={filter.sort} onChange={(e) => setField('sort', e.target.value)} className={compactInputClassName} aria-label="Sort order">
+                {SORT_ORDERS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            {!isFilterEmpty(filter) && (
+                <button onClick={() => onChange(EMPTY_FILTER)} className="text-sm text-gray-400 hover:text-white underline">Clear filters</button>
+            )}
+        </div>
+    );
+};
+
+export default FilterBar;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { HISTORY_FORMATS } from '../importExport.js';
+import { fieldClassName } from './styles.js';
+import TopicSelect, { useSelectedTopic } from './TopicSelect.jsx';
+
+const inputClassName = `${fieldClassName} py-2 px-3 text-sm`;
+const buttonClassName = "bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed";
+
+/**
+ * Export and import of the configuration and of a topic's history, and a link to share
+ * the enabled topics. The handlers do the work and resolve to a status text; a rejected
+ * handler shows its error instead.
+ * @param {{topics: string[], shareLink: ?string, onExportConfig: function, onImportConfig: function,
+ *     onExportHistory: function, onImportHistory: function}} props - The component props.
+ */
+const ImportExport = ({ topics, shareLink, onExportConfig, onImportConfig, onExportHistory, onImportHistory }) => {
+    const [includeSecrets, setIncludeSecrets] = useState(false);
+    const [topic, setTopic] = useSelectedTopic(topics);
+    const [format, setFormat] = useState('json');
+    const [status, setStatus] = useState(null);
+
+    const run = async (action) => {
+        setStatus(null);
+        try {
+            const text = await action();
+            if (text) setStatus({ error: false, text });
+        } catch (error) {
+            console.error('Import or export failed', error);
+            setStatus({ error: true, text: error.message });
+        }
+    };
+
+    // Reads the picked file and hands its text to `onImport`.
+    const handleFile = (onImport) => (e) => {
+        const file = e.target.files?.[0];
+        // Reset the input so picking the same file again still fires a change event.
+        e.target.value = '';
+        if (file) run(async () => onImport(await file.text()));
+    };
+
+    const handleCopyLink = () => run(async () => {
+        await navigator.clipboard.writeText(shareLink);
+        return 'Link copied to the clipboard.';
+    });
+
+    return (
+        <div className="mt-6">
+            <h3 className="text-lg font-medium text-gray-300 mb-2">Import &amp; Export</h3>
+            <div className="space-y-3">
+                <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm text-gray-400 w-24">Settings</span>
+                    <button onClick={() => run(() => onExportConfig(includeSecrets))} className={buttonClassName}>Export</button>
+                    <label className={`${buttonClassName} cursor-pointer`}>
+                        Import
+                        <input type="file" accept=".json,application/json" onChange={handleFile(onImportConfig)} className="hidden" />
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                        <input type="checkbox" checked={includeSecrets} onChange={(e) => setIncludeSecrets(e.target.checked)} className="accent-purple-500" />
+                        Include credentials and API keys
+                    </label>
+                </div>
+                {topics.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-sm text-gray-400 w-24">History</span>
+                        <TopicSelect topics={topics} value={topic} onChange={setTopic} label="Topic to export" className={inputClassName} />
+                        <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClassName} aria-label="Export format">
+                            {HISTORY_FORMATS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                        <button onClick={() => run(() => onExportHistory(topic, format))} className={buttonClassName}>Export</button>
+                        <label className={`${buttonClassName} cursor-pointer`} title="Messages are merged by id; the topic of each message decides where it goes.">
+                            Import
+                            <input type="file" accept=".json,.ndjson,.jsonl,.csv" onChange={handleFile(onImportHistory)} className="hidden" />
+                        </label>
+                    </div>
+                )}
+                {shareLink && (
+                    <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-sm text-gray-400 w-24">Share link</span>
+                        <input type="text" readOnly value={shareLink} onFocus={(e) => e.target.select()} className={`${inputClassName} flex-1 min-w-[12rem]`} aria-label="Link that subscribes to the enabled topics" />
+                        <button onClick={handleCopyLink} className={buttonClassName}>Copy</button>
+                    </div>
+                )}
+            </div>
+            {status && <p className={`text-xs mt-2 ${status.error ? 'text-red-400' : 'text-green-400'}`}>{status.text}</p>}
+            <p className="text-xs text-gray-500 mt-2">The share link subscribes whoever opens it to the enabled topics of this server. It never contains credentials.</p>
+        </div>
+    );
+};
+
+export default ImportExport;
@@ -0,0 +1,24 @@
+import React, { useMemo } from 'react';
+import DOMPurify from 'dompurify';
+import { marked } from 'marked';
+
+// Links in rendered messages open in a new tab and don't leak the opener.
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A') {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+    }
+});
+
+/**
+ * Renders the body of a `text/markdown` message. The generated HTML is sanitized
+ * before it is inserted, since message bodies come from anyone who can publish.
+ * @param {{text: string}} props - The component props.
+ */
+const Markdown = ({ text }) => {
+    const html = useMemo(() => DOMPurify.sanitize(marked.parse(text, { gfm: true, breaks: true })), [text]);
+
+    return <div className="markdown text-gray-300 break-words" dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+export default Markdown;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { splitTags } from '../emoji.js';
+import { toWireFormat } from '../importExport.js';
+import { isSafeUrl } from '../safeUrl.js';
+import Attachment from './Attachment.jsx';
+import ClickableMessage, { Highlight } from './ClickableMessage.jsx';
+import Markdown from './Markdown.jsx';
+
+// Card styling per message priority, from 1 (min) to 5 (urgent).
+const PRIORITY_STYLES = {
+    1: 'opacity-60',
+    2: 'opacity-80',
+    3: '',
+    4: 'border-l-4 border-orange-400',
+    5: 'border-l-4 border-red-500 bg-red-900 bg-opacity-20',
+};
+
+const PRIORITY_BADGES = {
+    4: { label: 'high', className: 'bg-orange-500 text-gray-900' },
+    5: { label: 'urgent', className: 'bg-red-600 text-white' },
+};
+
+const toolButtonClassName = "text-xs text-gray-400 hover:text-white hover:bg-gray-600 px-2 py-1 rounded transition duration-300";
+
+/**
+ * A button for one of a message's actions. `view` actions open their URL, `http`
+ * actions send their request from the browser and show whether it succeeded.
+ * `broadcast` actions only work in the Android app. Actions with a URL that isn't
+ * `http(s):` or `mailto:` are shown disabled.
+ * @param {{action: object}} props - The component props.
+ */
+const ActionButton = ({ action }) => {
+    const [status, setStatus] = useState(null);
+    const className = "bg-gray-600 hover:bg-gray-500 text-white text-sm font-bold py-1 px-3 rounded-md transition duration-300 disabled:cursor-not-allowed disabled:opacity-50";
+
+    if ((action.action === 'view' || action.action === 'http') && !isSafeUrl(action.url)) {
+        return <button disabled className={className} title="This action has an unsupported URL">{action.label}</button>;
+    }
+
+    if (action.action === 'view') {
+        return <a href={action.url} target="_blank" rel="noopener noreferrer" className={className}>{action.label}</a>;
+    }
+
+    if (action.action === 'http') {
+        const handleClick = async () => {
+            setStatus('pending');
+            try {
+                const response = await fetch(action.url, {
+                    method: action.method || 'POST',
+                    headers: action.headers,
+                    body: action.body || undefined
+                });
+                setStatus(response.ok ? 'done' : 'failed');
+            } catch (error) {
+                console.error(`Action "${action.label}" failed:`, error);
+                setStatus('failed');
+            }
+        };
+        return (
+            <button onClick={handleClick} disabled={status === 'pending'} className={className} title={`${action.method || 'POST'} ${action.url}`}>
+                {action.label}
+                {status === 'done' && ' ✓'}
+                {status === 'failed' && ' ✗'}
+            </button>
+        );
+    }
+
+    return <button disabled className={className} title="Broadcast actions only work in the ntfy Android app">{action.label}</button>;
+};
+
+/**
+ * Renders one received message with its priority, tags, icon, click URL,
+ * attachment and action buttons. Occurrences of `highlight` in the title and body are marked.
+ * Below it are the message's own actions: mark read or unread, pin, copy, reply and delete.
+ * @param {{message: object, showTopic: boolean, highlight?: string, focused?: boolean, selected?: boolean,
+ *     onToggleRead: function, onTogglePin: function, onReply: function, onDelete: function}} props - The
+ *     component props; the handlers are called with the message. `selected` marks the message picked
+ *     with the keyboard.
+ */
+const MessageCard = ({ message, showTopic, highlight, focused, selected, onToggleRead, onTogglePin, onReply, onDelete }) => {
+    // What was copied last, shown on the button for a moment.
+    const [copied, setCopied] = useState(null);
+    const priority = message.priority || 3;
+    const { emojis, tags } = splitTags(message.tags);
+    const badge = PRIORITY_BADGES[priority];
+    const title = <Highlight text={`${emojis.join(' ')} ${message.title || 'No Title'}`.trim()} term={highlight} />;
+    const unread = message.read === false;
+
+    const handleCopy = async (format) => {
+        try {
+            await navigator.clipboard.writeText(format === 'json' ? JSON.stringify(toWireFormat(message), null, 2) : message.message);
+            setCopied(format);
+            setTimeout(() => setCopied(null), 1500);
+        } catch (error) {
+            console.error('Failed to copy the message', error);
+        }
+    };
+
+    return (
+        <div id={`message-${message.id}`} className={`bg-gray-700 p-4 rounded-md shadow animate-fade-in ${PRIORITY_STYLES[priority] || ''} ${focused ? 'ring-2 ring-purple-400' : selected ? 'ring-2 ring-gray-400' : ''}`}>
+            <div className="flex justify-between items-center mb-2">
+                <span className="flex items-center gap-2 min-w-0">
+                    {unread && <span className="inline-block w-2 h-2 rounded-full bg-purple-400 flex-shrink-0" aria-label="Unread" />}
+                    {message.pinned && <span aria-label="Pinned">⭐</span>}
+                    {isSafeUrl(message.icon) && <img src={message.icon} alt="" className="w-6 h-6 rounded flex-shrink-0" />}
+                    {isSafeUrl(message.click) ? (
+                        <a href={message.click} target="_blank" rel="noopener noreferrer" className="font-bold text-purple-400 hover:text-purple-300 break-all">{title} 🔗</a>
+                    ) : (
+                        <span className="font-bold text-purple-400 break-all">{title}</span>
+                    )}
+                    {badge && <span className={`text-xs font-bold uppercase px-2 py-0.5 rounded ${badge.className}`}>{badge.label}</span>}
+                </span>
+                <span className="text-xs text-gray-400 flex-shrink-0 ml-2">{new Date(message.time * 1000).toLocaleString()}</span>
+            </div>
+            {showTopic && <span className="inline-block bg-purple-900 text-purple-200 text-xs px-2 py-0.5 rounded mb-2">{message.topic}</span>}
+            {message.content_type === 'text/markdown' ? <Markdown text={message.message} /> : <ClickableMessage text={message.message} highlight={highlight} />}
+            {message.attachment && <Attachment attachment={message.attachment} />}
+            {tags.length > 0 && (<div className="mt-2 flex flex-wrap gap-2">{tags.map(tag => (<span key={tag} className="bg-gray-600 text-xs text-gray-300 px-2 py-1 rounded-full">{tag}</span>))}</div>)}
+            {message.actions?.length > 0 && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                    {message.actions.map((action, index) => <ActionButton key={action.id || index} action={action} />)}
+                </div>
+            )}
+            <div className="mt-2 flex flex-wrap justify-end gap-1">
+                <button onClick={() => onToggleRead(message)} className={toolButtonClassName} title="Shortcut: Enter">{unread ? 'Mark read' : 'Mark unread'}</button>
+                <button onClick={() => onTogglePin(message)} className={toolButtonClassName} title="Shortcut: s">{message.pinned ? 'Unpin' : 'Pin'}</button>
+                <button onClick={() => handleCopy('text')} className={toolButtonClassName}>{copied === 'text' ? 'Copied ✓' : 'Copy text'}</button>
+                <button onClick={() => handleCopy('json')} className={toolButtonClassName}>{copied === 'json' ? 'Copied ✓' : 'Copy JSON'}</button>
+                <button onClick={() => onReply(message)} className={toolButtonClassName}>Reply</button>
+                <button onClick={() => onDelete(message)} className={`${toolButtonClassName} hover:text-red-400`} title="Shortcut: x">Delete</button>
+            </div>
+        </div>
+    );
+};
+
+export default MessageCard;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { getRules, isSilenced } from '../notificationRules.js';
+import { PRIORITIES } from '../publish.js';
+import { SOUNDS, playSound } from '../sounds.js';
+import { inputClassName } from './styles.js';
+import TopicSelect, { useSelectedTopic } from './TopicSelect.jsx';
+
+const SNOOZE_OPTIONS = [
+    { label: '1 hour', minutes: 60 },
+    { label: '8 hours', minutes: 8 * 60 },
+    { label: '24 hours', minutes: 24 * 60 },
+];
+
+/**
+ * Editor for the notification rules of one topic at a time. Changes apply right away.
+ * @param {{topics: string[], rules: Object<string, object>, onChange: function}} props - The component props;
+ *     `onChange` receives the topic and its new rules.
+ */
+const NotificationRules = ({ topics, rules, onChange }) => {
+    const [topic, setTopic] = useSelectedTopic(topics);
+
+    if (topics.length === 0) return null;
+
+    const current = getRules(rules[topic]);
+    const update = (changes) => onChange(topic, { ...current, ...changes });
+    const updateQuietHours = (changes) => update({ quietHours: { ...current.quietHours, ...changes } });
+
+    return (
+        <div className="mt-6">
+            <h3 className="text-lg font-medium text-gray-300 mb-2">Notification Rules</h3>
+            <div className="flex flex-col gap-3">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                    <TopicSelect topics={topics} value={topic} onChange={setTopic} />
+                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                        <input type="checkbox" checked={current.muted} onChange={(e) => update({ muted: e.target.checked })} className="accent-purple-500" />
+                        Mute notifications
+                    </label>
+                    <div className="flex items-center gap-2 text-sm text-gray-300">
+                        {current.snoozedUntil && isSilenced({ ...current, muted: false }) ? (
+                            <>
+                                <span>Snoozed until {new Date(current.snoozedUntil).toLocaleString()}</span>
+                                <button onClick={() => update({ snoozedUntil: null })} className="text-gray-400 hover:text-white underline">Resume</button>
+                            </>
+                        ) : (
+                            <>
+                                Snooze
+                                {SNOOZE_OPTIONS.map(({ label, minutes }) => (
+                                    <button key={minutes} onClick={() => update({ snoozedUntil: Date.now() + minutes * 60000 })} className="bg-gray-600 hover:bg-gray-500 text-xs py-1 px-2 rounded-md">{label}</button>
+                                ))}
+                            </>
+                        )}
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                    <label className="text-xs text-gray-400">
+                        Minimum priority to notify
+                        <select value={current.minPriority} onChange={(e) => update({ minPriority: Number(e.target.value) })} className={inputClassName}>
+                            {PRIORITIES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-xs text-gray-400">
+                        Only notify for (keywords or tags)
+                        <input type="text" value={current.include} onChange={(e) => update({ include: e.target.value })} className={inputClassName} placeholder="e.g. failed, production" />
+                    </label>
+                    <label className="text-xs text-gray-400">
+                        Never notify for (keywords or tags)
+                        <input type="text" value={current.exclude} onChange={(e) => update({ exclude: e.target.value })} className={inputClassName} placeholder="e.g. dependabot" />
+                    </label>
+                </div>
+
+                <label className="text-xs text-gray-400">
+                    Messages filtered out by priority or keywords
+                    <select value={current.filtered} onChange={(e) => update({ filtered: e.target.value })} className={inputClassName}>
+                        <option value="store">Keep them in the history without notifying</option>
+                        <option value="display">Only show them until the page is reloaded</option>
+                    </select>
+                </label>
+
+                <div className="flex flex-wrap items-center gap-2 text-sm text-gray-300">
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={current.quietHours.enabled} onChange={(e) => updateQuietHours({ enabled: e.target.checked })} className="accent-purple-500" />
+                        Quiet hours from
+                    </label>
+                    <input type="time" value={current.quietHours.start} onChange={(e) => updateQuietHours({ start: e.target.value })} disabled={!current.quietHours.enabled} className={`${inputClassName} w-auto disabled:opacity-50`} aria-label="Quiet hours start" />
+                    to
+                    <input type="time" value={current.quietHours.end} onChange={(e) => updateQuietHours({ end: e.target.value })} disabled={!current.quietHours.enabled} className={`${inputClassName} w-auto disabled:opacity-50`} aria-label="Quiet hours end" />
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={current.quietHours.allowUrgent} onChange={(e) => updateQuietHours({ allowUrgent: e.target.checked })} disabled={!current.quietHours.enabled} className="accent-purple-500" />
+                        Still notify for urgent messages
+                    </label>
+                </div>
+
+                <div>
+                    <span className="block text-xs text-gray-400 mb-1">Sound per priority</span>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                        {PRIORITIES.map(({ value, label }) => (
+                            <label key={value} className="text-xs text-gray-400">
+                                {label}
+                                <select
+                                    value={current.sounds[value]}
+                                    onChange={(e) => {
+                                        update({ sounds: { ...current.sounds, [value]: e.target.value } });
+                                        playSound(e.target.value);
+                                    }}
+                                    className={inputClassName}
+                                >
+                                    {SOUNDS.map(sound => <option key={sound.value} value={sound.value}>{sound.label}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default NotificationRules;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { tagToEmoji } from '../emoji.js';
+import { ACTION_TYPES, MAX_ACTIONS, PRIORITIES, createAction, parseTags } from '../publish.js';
+import { inputClassName } from './styles.js';
+
+/**
+ * Editor for the optional publish settings of the composer: priority, tags, click and
+ * icon URLs, scheduled delivery, email forwarding, markdown and action buttons.
+ * @param {{options: object, onChange: function}} props - The component props.
+ */
+const PublishOptions = ({ options, onChange }) => {
+    const setOption = (name, value) => onChange({ ...options, [name]: value });
+
+    const updateAction = (index, changes) => {
+        setOption('actions', options.actions.map((action, i) => (i === index ? { ...action, ...changes } : action)));
+    };
+
+    const tags = parseTags(options.tags);
+
+    return (
+        <div className="flex flex-col gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <label htmlFor="publish-priority" className="block text-sm font-medium text-gray-300 mb-2">Priority</label>
+                    <select id="publish-priority" value={options.priority} onChange={(e) => setOption('priority', Number(e.target.value))} className={inputClassName}>
+                        {PRIORITIES.map(({ value, label }) => <option key={value} value={value}>{value} – {label}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="publish-tags" className="block text-sm font-medium text-gray-300 mb-2">Tags</label>
+                    <input id="publish-tags" type="text" value={options.tags} onChange={(e) => setOption('tags', e.target.value)} className={inputClassName} placeholder="e.g. warning, :skull:, backup" />
+                    {tags.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                            {tags.map(tag => (
+                                <span key={tag} className="bg-gray-600 text-xs text-gray-300 px-2 py-1 rounded-full">{tagToEmoji(tag) || tag}</span>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                <div>
+                    <label htmlFor="publish-click" className="block text-sm font-medium text-gray-300 mb-2">Click URL</label>
+                    <input id="publish-click" type="url" value={options.click} onChange={(e) => setOption('click', e.target.value)} className={inputClassName} placeholder="Opened when the notification is clicked" />
+                </div>
+                <div>
+                    <label htmlFor="publish-icon" className="block text-sm font-medium text-gray-300 mb-2">Icon URL</label>
+                    <input id="publish-icon" type="url" value={options.icon} onChange={(e) => setOption('icon', e.target.value)} className={inputClassName} placeholder="https://example.com/icon.png" />
+                </div>
+                <div>
+                    <label htmlFor="publish-delay" className="block text-sm font-medium text-gray-300 mb-2">Delay</label>
+                    <input id="publish-delay" type="text" value={options.delay} onChange={(e) => setOption('delay', e.target.value)} disabled={!!options.at} className={`${inputClassName} disabled:opacity-50`} placeholder="e.g. 30m, 2h, tomorrow, 10am" />
+                </div>
+                <div>
+                    <label htmlFor="publish-at" className="block text-sm font-medium text-gray-300 mb-2">Or deliver at</label>
+                    <input id="publish-at" type="datetime-local" value={options.at} onChange={(e) => setOption('at', e.target.value)} className={inputClassName} />
+                </div>
+                <div>
+                    <label htmlFor="publish-email" className="block text-sm font-medium text-gray-300 mb-2">Forward to email</label>
+                    <input id="publish-email" type="email" value={options.email} onChange={(e) => setOption('email', e.target.value)} className={inputClassName} placeholder="name@example.com" />
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-300 md:mt-8">
+                    <input type="checkbox" checked={options.markdown} onChange={(e) => setOption('markdown', e.target.checked)} className="accent-purple-500" />
+                    Format message as Markdown
+                </label>
+            </div>
+
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-medium text-gray-300">Action buttons</span>
+                    <button
+                        onClick={() => setOption('actions', [...options.actions, createAction()])}
+                        disabled={options.actions.length >= MAX_ACTIONS}
+                        className="bg-gray-600 hover:bg-gray-500 text-white text-xs font-bold py-1 px-3 rounded-md transition duration-300 disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed"
+                    >
+                        + Add action
+                    </button>
+                </div>
+                <div className="flex flex-col gap-2">
+                    {options.actions.map((action, index) => (
+                        <div key={index} className="grid grid-cols-1 md:grid-cols-6 gap-2 bg-gray-900 bg-opacity-40 p-2 rounded-md">
+                            <select value={action.action} onChange={(e) => updateAction(index, { action: e.target.value })} className={inputClassName} aria-label="Action type">
+                                {ACTION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                            </select>
+                            <input type="text" value={action.label} onChange={(e) => updateAction(index, { label: e.target.value })} className={inputClassName} placeholder="Label" />
+                            {action.action === 'broadcast' ? (
+                                <input type="text" value={action.intent} onChange={(e) => updateAction(index, { intent: e.target.value })} className={`${inputClassName} md:col-span-2`} placeholder="Intent (optional)" />
+                            ) : (
+                                <input type="url" value={action.url} onChange={(e) => updateAction(index, { url: e.target.value })} className={`${inputClassName} md:col-span-2`} placeholder="https://..." />
+                            )}
+                            {action.action === 'http' ? (
+                                <div className="flex gap-2">
+                                    <select value={action.method} onChange={(e) => updateAction(index, { method: e.target.value })} className={inputClassName} aria-label="HTTP method">
+                                        {['POST', 'PUT', 'GET', 'DELETE'].map(method => <option key={method} value={method}>{method}</option>)}
+                                    </select>
+                                    <input type="text" value={action.body} onChange={(e) => updateAction(index, { body: e.target.value })} className={inputClassName} placeholder="Body" />
+                                </div>
+                            ) : <div className="hidden md:block" />}
+                            <div className="flex items-center justify-between gap-2">
+                                <label className="flex items-center gap-1 text-xs text-gray-300">
+                                    <input type="checkbox" checked={action.clear} onChange={(e) => updateAction(index, { clear: e.target.checked })} className="accent-purple-500" />
+                                    Clear
+                                </label>
+                                <button
+                                    onClick={() => setOption('actions', options.actions.filter((_, i) => i !== index))}
+                                    className="text-gray-400 hover:text-red-400 p-1 rounded-full hover:bg-gray-600 transition duration-300"
+                                    aria-label={`Remove action ${index + 1}`}
+                                >
+                                    &times;
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PublishOptions;
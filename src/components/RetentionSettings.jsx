@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_RETENTION } from '../messageStore.js';
+import { inputClassName } from './styles.js';
+import TopicSelect, { useSelectedTopic } from './TopicSelect.jsx';
+
+/**
+ * A form to set how much history is kept for each topic, by message count and age.
+ * @param {{topics: string[], retention: Object<string, object>, onSave: function}} props - The component props.
+ */
+const RetentionSettings = ({ topics, retention, onSave }) => {
+    const [topic, setTopic] = useSelectedTopic(topics);
+    const current = retention[topic] || DEFAULT_RETENTION;
+    const [maxCount, setMaxCount] = useState(current.maxCount);
+    const [maxAgeDays, setMaxAgeDays] = useState(current.maxAgeDays);
+
+    // Show the saved values when switching topics.
+    useEffect(() => {
+        setMaxCount(current.maxCount);
+        setMaxAgeDays(current.maxAgeDays);
+    }, [current.maxCount, current.maxAgeDays]);
+
+    if (topics.length === 0) return null;
+
+    return (
+        <div className="mt-6">
+            <h3 className="text-lg font-medium text-gray-300 mb-2">History Retention</h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+                <TopicSelect topics={topics} value={topic} onChange={setTopic} />
+                <label className="text-xs text-gray-400">
+                    Keep at most (messages)
+                    <input type="number" min="0" value={maxCount} onChange={(e) => setMaxCount(Math.max(0, Number(e.target.value)))} className={inputClassName} />
+                </label>
+                <label className="text-xs text-gray-400">
+                    Keep for (days)
+                    <input type="number" min="0" value={maxAgeDays} onChange={(e) => setMaxAgeDays(Math.max(0, Number(e.target.value)))} className={inputClassName} />
+                </label>
+                <button onClick={() => onSave(topic, { maxCount, maxAgeDays })} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm">Save Retention</button>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Use 0 for no limit. Older messages are deleted from this browser.</p>
+        </div>
+    );
+};
+
+export default RetentionSettings;
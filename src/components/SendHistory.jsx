@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { getNextRun, parseSchedule } from '../schedule.js';
+
+const buttonClassName = "text-xs bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-2 rounded-md transition duration-300 disabled:bg-gray-500 disabled:cursor-not-allowed";
+
+// One line describing a message: its topic, title and body.
+const MessageLine = ({ topic, title, message }) => (
+    <span className="truncate text-gray-300">
+        <span className="text-purple-300">{topic}</span>
+        {title && <strong className="ml-2">{title}</strong>}
+        <span className="ml-2">{message}</span>
+    </span>
+);
+
+const getNextRunText = (cron) => {
+    try {
+        const next = getNextRun(parseSchedule(cron));
+        return next ? `next ${next.toLocaleString()}` : 'never due';
+    } catch (error) {
+        return error.message;
+    }
+};
+
+/**
+ * Recurring sends, messages waiting on the server to be delivered and the recent sends
+ * of the current server, each of which can be sent again or edited in the composer.
+ * @param {{recurring: object[], scheduled: ?object[], sent: object[], onToggleRecurring: function,
+ *     onDeleteRecurring: function, onLoadScheduled: function, onResend: function, onEdit: function}} props - The
+ *     component props; `scheduled` is null until it was loaded with `onLoadScheduled`.
+ */
+const SendHistory = ({ recurring, scheduled, sent, onToggleRecurring, onDeleteRecurring, onLoadScheduled, onResend, onEdit }) => {
+    const [isLoading, setIsLoading] = useState(false);
+    const [resendingId, setResendingId] = useState(null);
+
+    const handleLoadScheduled = async () => {
+        setIsLoading(true);
+        try {
+            await onLoadScheduled();
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleResend = async (entry) => {
+        setResendingId(entry.id);
+        try {
+            await onResend(entry);
+        } finally {
+            setResendingId(null);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {recurring.length > 0 && (
+                <div>
+                    <h3 className="text-lg font-medium text-gray-300 mb-2">Recurring</h3>
+                    <ul className="space-y-2">
+                        {recurring.map(job => (
+                            <li key={job.id} className={`flex items-center gap-3 text-sm ${job.enabled ? '' : 'opacity-50'}`}>
+                                <input type="checkbox" checked={job.enabled} onChange={() => onToggleRecurring(job.id)} className="accent-purple-500" aria-label={`Run ${job.name}`} />
+                                <span className="font-mono text-xs text-gray-400" title={job.enabled ? getNextRunText(job.cron) : 'Paused'}>{job.cron}</span>
+                                <MessageLine {...job} />
+                                <button onClick={() => onDeleteRecurring(job.id)} className="ml-auto text-gray-400 hover:text-white" aria-label={`Delete ${job.name}`}>&times;</button>
+                            </li>
+                        ))}
+                    </ul>
+                    <p className="text-xs text-gray-500 mt-2">Recurring sends only go out while this app is open.</p>
+                </div>
+            )}
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-lg font-medium text-gray-300">Scheduled on the server</h3>
+                    <button onClick={handleLoadScheduled} disabled={isLoading} className={buttonClassName}>{isLoading ? 'Loading...' : scheduled ? 'Refresh' : 'Load'}</button>
+                </div>
+                {scheduled && (scheduled.length > 0 ? (
+                    <ul className="space-y-2">
+                        {scheduled.map(msg => (
+                            <li key={msg.id} className="flex items-center gap-3 text-sm">
+                                <span className="text-xs text-gray-400 whitespace-nowrap">{new Date(msg.time * 1000).toLocaleString()}</span>
+                                <MessageLine {...msg} />
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-sm text-gray-400">No delayed messages are waiting on the enabled topics.</p>
+                ))}
+            </div>
+            {sent.length > 0 && (
+                <div>
+                    <h3 className="text-lg font-medium text-gray-300 mb-2">Recently Sent</h3>
+                    <ul className="space-y-2 max-h-64 overflow-y-auto pr-2 custom-scrollbar">
+                        {sent.map(entry => (
+                            <li key={entry.id} className="flex items-center gap-3 text-sm">
+                                <span className="text-xs text-gray-400 whitespace-nowrap" title={entry.time * 1000 > entry.sentAt + 1000 ? `Delivered ${new Date(entry.time * 1000).toLocaleString()}` : undefined}>
+                                    {new Date(entry.sentAt).toLocaleString()}
+                                </span>
+                                <MessageLine {...entry} message={entry.attachment ? `📎 ${entry.attachment} ${entry.message}` : entry.message} />
+                                <span className="ml-auto flex gap-1">
+                                    <button onClick={() => onEdit(entry)} className={buttonClassName}>Edit</button>
+                                    <button
+                                        onClick={() => handleResend(entry)}
+                                        disabled={resendingId !== null || !!entry.attachment}
+                                        className={buttonClassName}
+                                        title={entry.attachment ? 'Attachments are not kept, use Edit and attach the file again' : 'Send again now'}
+                                    >
+                                        {resendingId === entry.id ? '...' : 'Re-send'}
+                                    </button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SendHistory;
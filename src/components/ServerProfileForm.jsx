@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { getServerName } from '../profiles.js';
+import { TRANSPORTS } from '../transports.js';
+import { inputClassName } from './styles.js';
+
+/**
+ * A form to edit the name, URL and preferred transport of a server profile.
+ * @param {{profile: object, canDelete: boolean, onSave: function, onDelete: function}} props - The component props.
+ */
+const ServerProfileForm = ({ profile, canDelete, onSave, onDelete }) => {
+    const [name, setName] = useState(profile.name);
+    const [url, setUrl] = useState(profile.url);
+    const [transport, setTransport] = useState(profile.transport || 'auto');
+
+    // Reset the draft when switching to another profile.
+    useEffect(() => {
+        setName(profile.name);
+        setUrl(profile.url);
+        setTransport(profile.transport || 'auto');
+    }, [profile.id, profile.name, profile.url, profile.transport]);
+
+    const cleanUrl = url.trim().replace(/\/$/, '');
+    const isValidUrl = /^https?:\/\/[^/]+/.test(cleanUrl);
+    const isChanged = name !== profile.name || cleanUrl !== profile.url || transport !== (profile.transport || 'auto');
+
+    const handleSave = () => {
+        if (!isValidUrl) return;
+        onSave({ name: name.trim() || getServerName(cleanUrl), url: cleanUrl, transport });
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-medium text-gray-300 mb-2">Server</h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClassName} placeholder="Name" aria-label="Server name" />
+                <input type="text" value={url} onChange={(e) => setUrl(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && handleSave()} className={`${inputClassName} md:col-span-2`} placeholder="e.g., https://ntfy.sh" aria-label="Server URL" />
+                <select
+                    value={transport}
+                    onChange={(e) => setTransport(e.target.value)}
+                    className={inputClassName}
+                    aria-label="Transport"
+                    title="How messages are received. Other transports are tried when this one fails."
+                >
+                    <option value="auto">Auto</option>
+                    {TRANSPORTS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            <div className="flex items-center justify-between mt-2">
+                <p className="text-xs text-gray-500">
+                    {isValidUrl ? 'Topics, credentials and history are kept separately for each server.' : 'Enter a URL starting with http:// or https://.'}
+                </p>
+                <div className="flex gap-2">
+                    {canDelete && (
+                        <button onClick={onDelete} className="bg-gray-700 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm">Remove Server</button>
+                    )}
+                    <button onClick={handleSave} disabled={!isValidUrl || !isChanged} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed disabled:opacity-50">Save Server</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ServerProfileForm;
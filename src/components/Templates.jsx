@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { SCHEDULE_PRESETS, getNextRun, parseSchedule } from '../schedule.js';
+import { fillTemplate, getVariables } from '../templates.js';
+import { fieldClassName } from './styles.js';
+
+const inputClassName = `w-full ${fieldClassName} py-2 px-3 text-sm`;
+const buttonClassName = "bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-md transition duration-300 text-sm disabled:bg-gray-500 disabled:cursor-not-allowed";
+
+/**
+ * Saved publish templates above the composer. Picking a template shows a small form for
+ * its `{{variables}}`; the filled template can go into the composer, be sent right away
+ * or be sent on a recurring schedule.
+ * @param {{templates: object[], canSave: boolean, onSave: function, onDelete: function, onFill: function,
+ *     onSend: function, onRepeat: function}} props - The component props; `onSave` is called with a name
+ *     to save the composer as a template, `onFill` and `onSend` with the filled template, and `onRepeat`
+ *     with the filled template, a schedule and a name.
+ */
+const Templates = ({ templates, canSave, onSave, onDelete, onFill, onSend, onRepeat }) => {
+    const [selectedId, setSelectedId] = useState(null);
+    const [values, setValues] = useState({});
+    const [newName, setNewName] = useState(null);
+    const [schedule, setSchedule] = useState(null);
+    const [isSending, setIsSending] = useState(false);
+
+    const template = templates.find(t => t.id === selectedId);
+    const variables = template ? getVariables(template) : [];
+    const filled = template && fillTemplate(template, values);
+
+    let scheduleError = null;
+    let nextRun = null;
+    if (schedule !== null && schedule.trim()) {
+        try {
+            nextRun = getNextRun(parseSchedule(schedule));
+        } catch (error) {
+            scheduleError = error.message;
+        }
+    }
+
+    const handleSelect = (t) => {
+        setSchedule(null);
+        setSelectedId(t.id === selectedId ? null : t.id);
+        setValues({});
+    };
+
+    const handleSaveTemplate = () => {
+        if (!newName.trim()) return;
+        onSave(newName.trim());
+        setNewName(null);
+    };
+
+    const handleSend = async () => {
+        setIsSending(true);
+        try {
+            if (await onSend(filled)) setSelectedId(null);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleRepeat = () => {
+        onRepeat(filled, schedule.trim(), template.name);
+        setSchedule(null);
+        setSelectedId(null);
+    };
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-400">Templates:</span>
+                {templates.map(t => (
+                    <span key={t.id} className={`flex items-center rounded-full text-sm ${t.id === selectedId ? 'bg-purple-600' : 'bg-gray-700'}`}>
+                        <button onClick={() => handleSelect(t)} className="pl-3 pr-1 py-1" title={getVariables(t).length > 0 ? `Fill in ${getVariables(t).join(', ')}` : undefined}>
+                            {t.name}
+                        </button>
+                        <button onClick={() => onDelete(t.id)} className="px-2 text-gray-400 hover:text-white" aria-label={`Delete template ${t.name}`}>&times;</button>
+                    </span>
+                ))}
+                {newName === null ? (
+                    <button onClick={() => setNewName('')} disabled={!canSave} className="text-sm text-purple-300 hover:text-purple-100 disabled:text-gray-500" title="Save the composer, including {{variables}}, as a template">
+                        + Save as template
+                    </button>
+                ) : (
+                    <span className="flex items-center gap-2">
+                        <input type="text" value={newName} onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && handleSaveTemplate()} className={`${inputClassName} w-40`} placeholder="Template name" autoFocus />
+                        <button onClick={handleSaveTemplate} disabled={!newName.trim()} className={buttonClassName}>Save</button>
+                        <button onClick={() => setNewName(null)} className="text-sm text-gray-400 hover:text-white">Cancel</button>
+                    </span>
+                )}
+            </div>
+            {template && (
+                <div className="p-3 rounded-md bg-gray-900 bg-opacity-50 border border-gray-700">
+                    {variables.length > 0 && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-2">
+                            {variables.map(name => (
+                                <label key={name} className="text-xs text-gray-400">
+                                    {name}
+                                    <input type="text" value={values[name] || ''} onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))} className={inputClassName} />
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                    <p className="text-xs text-gray-400 truncate" title={filled.message}>
+                        {filled.topic && <span className="text-purple-300">{filled.topic}: </span>}
+                        {filled.title && <strong>{filled.title} </strong>}
+                        {filled.message}
+                    </p>
+                    {schedule !== null && (
+                        <div className="flex flex-wrap items-center gap-2 mt-2">
+                            <input type="text" value={schedule} onChange={(e) => setSchedule(e.target.value)} className={`${inputClassName} w-40 font-mono`} placeholder="0 9 * * 1-5" aria-label="Schedule" />
+                            <select value="" onChange={(e) => setSchedule(e.target.value)} className={`${inputClassName} w-auto`} aria-label="Schedule presets">
+                                <option value="" disabled>Presets…</option>
+                                {SCHEDULE_PRESETS.map(({ label, value }) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                            <span className={`text-xs ${scheduleError ? 'text-red-400' : 'text-gray-400'}`}>
+                                {!schedule.trim() ? 'minute hour day month weekday' : scheduleError || (nextRun ? `Next: ${nextRun.toLocaleString()}` : 'Never due.')}
+                            </span>
+                        </div>
+                    )}
+                    <div className="flex justify-end gap-2 mt-2">
+                        <button onClick={() => { onFill(filled); setSelectedId(null); }} className={buttonClassName}>Fill Composer</button>
+                        {schedule === null ? (
+                            <button onClick={() => setSchedule('')} className={buttonClassName} title="Send on a schedule while the app is open">Repeat…</button>
+                        ) : (
+                            <button onClick={handleRepeat} disabled={!!scheduleError || !nextRun || !filled.message.trim()} className={buttonClassName}>Save Schedule</button>
+                        )}
+                        <button onClick={handleSend} disabled={isSending || !filled.message.trim()} className={`${buttonClassName} bg-purple-600 hover:bg-purple-500`}>{isSending ? 'Sending...' : 'Send Now'}</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Templates;
@@ -0,0 +1,32 @@
+import React, { useEffect, useState } from 'react';
+import { inputClassName } from './styles.js';
+
+/**
+ * Holds the topic picked in a panel that edits or shows one topic at a time.
+ * @param {string[]} topics - The topics to pick from.
+ * @returns {[string, function(string)]} The picked topic, always one of `topics` unless there are none,
+ *     and its setter.
+ */
+export const useSelectedTopic = (topics) => {
+    const [topic, setTopic] = useState(topics[0] || '');
+
+    // Keep a valid topic selected when subscriptions change.
+    useEffect(() => {
+        if (!topics.includes(topic)) setTopic(topics[0] || '');
+    }, [topics, topic]);
+
+    return [topic, setTopic];
+};
+
+/**
+ * A dropdown of topics, usually driven by `useSelectedTopic`.
+ * @param {{topics: string[], value: string, onChange: function, label?: string, className?: string}} props - The
+ *     component props; `onChange` receives the picked topic and `label` names the dropdown for screen readers.
+ */
+const TopicSelect = ({ topics, value, onChange, label = 'Topic', className = inputClassName }) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={className} aria-label={label}>
+        {topics.map(t => <option key={t} value={t}>{t}</option>)}
+    </select>
+);
+
+export default TopicSelect;
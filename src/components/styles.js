@@ -0,0 +1,10 @@
+// Tailwind classes of the form fields, shared so every panel looks the same.
+
+// The look of a field without its size, for fields that set their own.
+export const fieldClassName = "bg-gray-700 border border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 transition";
+
+// A full-width field, the default in forms.
+export const inputClassName = `w-full ${fieldClassName} py-2 px-3`;
+
+// A small field for toolbars, such as the filter bar.
+export const compactInputClassName = `${fieldClassName} py-1 px-2 text-sm`;
@@ -0,0 +1,62 @@
+/**
+ * Emoji for the tag names ntfy recognizes. ntfy uses the GitHub emoji shortcodes
+ * (without colons); tags that match one are shown as the emoji instead of as text.
+ * This is the commonly used subset of that list.
+ */
+const EMOJI = {
+    '+1': '👍', '-1': '👎', '100': '💯', 'alarm_clock': '⏰', 'alien': '👽', 'ambulance': '🚑',
+    'anger': '💢', 'apple': '🍎', 'arrow_down': '⬇️', 'arrow_up': '⬆️', 'arrows_counterclockwise': '🔄',
+    'bangbang': '‼️', 'battery': '🔋', 'beer': '🍺', 'bell': '🔔', 'bike': '🚲', 'bomb': '💣',
+    'books': '📚', 'boom': '💥', 'bug': '🐛', 'bulb': '💡', 'calendar': '📆', 'camera': '📷',
+    'card_file_box': '🗃️', 'cat': '🐱', 'chart_with_downwards_trend': '📉', 'chart_with_upwards_trend': '📈',
+    'clapper': '🎬', 'clock1': '🕐', 'closed_lock_with_key': '🔐', 'cloud': '☁️', 'coffee': '☕',
+    'computer': '💻', 'construction': '🚧', 'cop': '👮', 'credit_card': '💳', 'crossed_fingers': '🤞',
+    'date': '📅', 'desktop_computer': '🖥️', 'dog': '🐶', 'dollar': '💵', 'door': '🚪',
+    'dvd': '📀', 'e-mail': '📧', 'email': '📧', 'envelope': '✉️', 'exclamation': '❗', 'eyes': '👀',
+    'facepalm': '🤦', 'file_folder': '📁', 'fire': '🔥', 'flashlight': '🔦', 'floppy_disk': '💾',
+    'frowning': '😦', 'gear': '⚙️', 'gem': '💎', 'ghost': '👻', 'gift': '🎁', 'globe_with_meridians': '🌐',
+    'grey_exclamation': '❕', 'grey_question': '❔', 'hammer': '🔨', 'hammer_and_wrench': '🛠️', 'hankey': '💩',
+    'headphones': '🎧', 'heart': '❤️', 'heavy_check_mark': '✔️', 'heavy_multiplication_x': '✖️',
+    'hourglass': '⌛', 'house': '🏠', 'inbox_tray': '📥', 'information_source': 'ℹ️', 'iphone': '📱',
+    'key': '🔑', 'label': '🏷️', 'link': '🔗', 'lock': '🔒', 'loudspeaker': '📢', 'love_letter': '💌',
+    'mag': '🔍', 'mailbox': '📫', 'memo': '📝', 'money_with_wings': '💸', 'moneybag': '💰',
+    'muscle': '💪', 'mute': '🔇', 'new': '🆕', 'no_entry': '⛔', 'no_entry_sign': '🚫', 'no_bell': '🔕',
+    'ok': '🆗', 'ok_hand': '👌', 'outbox_tray': '📤', 'package': '📦', 'page_facing_up': '📄',
+    'partying_face': '🥳', 'pencil2': '✏️', 'phone': '☎️', 'pill': '💊', 'point_right': '👉', 'poop': '💩',
+    'pushpin': '📌', 'question': '❓', 'rabbit': '🐰', 'radio': '📻', 'rainbow': '🌈', 'recycle': '♻️',
+    'red_circle': '🔴', 'robot': '🤖', 'rocket': '🚀', 'rotating_light': '🚨', 'satellite': '📡',
+    'scream': '😱', 'shield': '🛡️', 'shopping_cart': '🛒', 'skull': '💀', 'sleeping': '😴', 'smile': '😄',
+    'smiley': '😃', 'snowflake': '❄️', 'sos': '🆘', 'sparkles': '✨', 'speaker': '🔈', 'star': '⭐',
+    'stop_sign': '🛑', 'sunny': '☀️', 'tada': '🎉', 'thermometer': '🌡️', 'thumbsdown': '👎',
+    'thumbsup': '👍', 'timer_clock': '⏲️', 'tools': '🛠️', 'trophy': '🏆', 'truck': '🚚', 'tv': '📺',
+    'umbrella': '☂️', 'unlock': '🔓', 'video_game': '🎮', 'warning': '⚠️', 'watch': '⌚', 'wave': '👋',
+    'white_check_mark': '✅', 'wrench': '🔧', 'x': '❌', 'zap': '⚡', 'zzz': '💤',
+};
+
+/**
+ * Returns the emoji for a tag name, or null when the tag isn't a known shortcode.
+ * Surrounding colons are ignored, so `:warning:` and `warning` are equivalent.
+ * @param {string} tag - The tag name.
+ */
+export const tagToEmoji = (tag) => EMOJI[tag.replace(/^:|:$/g, '')] || null;
+
+
+/**
+ * Splits a message's tags into the emoji that are shown next to its title and the
+ * remaining tags that are shown as plain text, the same way the ntfy apps do.
+ * @param {string[]} tags - The tags of a message.
+ * @returns {{emojis: string[], tags: string[]}}
+ */
+export const splitTags = (tags = []) => {
+    const emojis = [];
+    const rest = [];
+    for (const tag of tags) {
+        const emoji = tagToEmoji(tag);
+        if (emoji) {
+            emojis.push(emoji);
+        } else {
+            rest.push(tag);
+        }
+    }
+    return { emojis, tags: rest };
+};
@@ -0,0 +1,120 @@
+/**
+ * Filtering of the message history. The active filter is mirrored into the URL
+ * query string so a filtered view can be bookmarked and shared.
+ */
+
+export const EMPTY_FILTER = {
+    q: '',
+    tag: '',
+    minPriority: 1,
+    maxPriority: 5,
+    from: '',
+    to: '',
+    sort: 'newest',
+};
+
+export const SORT_ORDERS = [
+    { value: 'newest', label: 'Newest first' },
+    { value: 'oldest', label: 'Oldest first' },
+    { value: 'priority', label: 'Highest priority' },
+];
+
+/**
+ * Returns true when the filter doesn't exclude anything.
+ * @param {typeof EMPTY_FILTER} filter - The filter.
+ */
+export const isFilterEmpty = (filter) => Object.keys(EMPTY_FILTER).every(key => filter[key] === EMPTY_FILTER[key]);
+
+/**
+ * Reads the filter and the viewed topic from a query string such as
+ * `?topic=alerts&q=disk&tag=warning&priority=4-5&from=2024-05-01&to=2024-05-31&sort=oldest`.
+ * @param {string} search - The query string, usually `window.location.search`.
+ * @returns {{filter: typeof EMPTY_FILTER, topic: string|null}}
+ */
+export const readFilterFromQuery = (search) => {
+    const params = new URLSearchParams(search);
+    const filter = { ...EMPTY_FILTER };
+
+    filter.q = params.get('q') || '';
+    filter.tag = params.get('tag') || '';
+    const [min, max] = (params.get('priority') || '').split('-').map(Number);
+    if (min >= 1 && min <= 5) filter.minPriority = min;
+    if (max >= 1 && max <= 5) filter.maxPriority = max;
+    else if (min >= 1 && min <= 5) filter.maxPriority = min;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (datePattern.test(params.get('from'))) filter.from = params.get('from');
+    if (datePattern.test(params.get('to'))) filter.to = params.get('to');
+    if (SORT_ORDERS.some(({ value }) => value === params.get('sort'))) filter.sort = params.get('sort');
+
+    return { filter, topic: params.get('topic') };
+};
+
+/**
+ * Writes the filter and the viewed topic into the current URL without adding a
+ * history entry. Parameters with their default value are left out.
+ * @param {typeof EMPTY_FILTER} filter - The filter.
+ * @param {string} topic - The viewed topic, or an empty string for all topics.
+ */
+export const writeFilterToUrl = (filter, topic) => {
+    const params = new URLSearchParams(window.location.search);
+    const set = (name, value) => (value ? params.set(name, value) : params.delete(name));
+
+    set('topic', topic);
+    set('q', filter.q);
+    set('tag', filter.tag);
+    set('priority', filter.minPriority !== 1 || filter.maxPriority !== 5 ? `${filter.minPriority}-${filter.maxPriority}` : '');
+    set('from', filter.from);
+    set('to', filter.to);
+    set('sort', filter.sort !== EMPTY_FILTER.sort ? filter.sort : '');
+
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
+
+/**
+ * Returns the time range the filter's dates cover as Unix times in seconds. Dates are
+ * read in local time, `to` includes the whole day and a missing date leaves that end open.
+ * @param {typeof EMPTY_FILTER} filter - The filter.
+ * @returns {{since: number, until: number}}
+ */
+export const getFilterTimeRange = (filter) => ({
+    since: filter.from ? new Date(`${filter.from}T00:00:00`).getTime() / 1000 : -Infinity,
+    until: filter.to ? new Date(`${filter.to}T23:59:59.999`).getTime() / 1000 : Infinity,
+});
+
+/**
+ * Returns true when a message matches every part of the filter. The text search
+ * is case-insensitive and looks at the title and the body.
+ * @param {object} message - A ntfy message.
+ * @param {typeof EMPTY_FILTER} filter - The filter.
+ */
+export const matchesFilter = (message, filter) => {
+    const priority = message.priority || 3;
+    if (priority < filter.minPriority || priority > filter.maxPriority) return false;
+
+    if (filter.tag && !(message.tags || []).includes(filter.tag)) return false;
+
+    const { since, until } = getFilterTimeRange(filter);
+    if (message.time < since || message.time > until) return false;
+
+    const query = filter.q.trim().toLowerCase();
+    if (query && !`${message.title || ''}\n${message.message || ''}`.toLowerCase().includes(query)) return false;
+
+    return true;
+};
+
+/**
+ * Returns a sorted copy of the messages in the filter's sort order. Messages of
+ * equal priority stay newest first.
+ * @param {object[]} messages - The messages, newest first.
+ * @param {typeof EMPTY_FILTER} filter - The filter.
+ */
+export const sortMessages = (messages, filter) => {
+    if (filter.sort === 'oldest') {
+        return [...messages].sort((a, b) => a.time - b.time);
+    }
+    if (filter.sort === 'priority') {
+        return [...messages].sort((a, b) => (b.priority || 3) - (a.priority || 3) || b.time - a.time);
+    }
+    return messages;
+};
@@ -0,0 +1,160 @@
+/**
+ * React hooks on top of the ntfy client in `ntfyClient.js`.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createClient } from './ntfyClient.js';
+
+/**
+ * Returns a client for a server that only changes when the server, its credentials or
+ * the preferred transport do.
+ * @param {{server: string, auth?: object, transport?: string}} options - See `createClient`.
+ */
+export const useNtfyClient = ({ server, auth = null, transport = 'auto' }) => (
+    useMemo(() => createClient({ server, auth, transport }), [server, auth, transport])
+);
+
+/**
+ * Subscribes to a topic for as long as the component is mounted and collects the
+ * received messages, newest first and without duplicates.
+ * @param {ReturnType<typeof createClient>} client - The client.
+ * @param {?string} topic - The topic; nothing is subscribed while it is empty.
+ * @param {{since?: string, onMessage?: function}} [options] - `since` is where the first
+ *     connection starts, e.g. `all`; `onMessage` is called for every new message.
+ * @returns {{messages: object[], connected: boolean, error: ?string, transport: ?string, retryAt: ?number}}
+ */
+export const useSubscription = (client, topic, { since = null, onMessage } = {}) => {
+    const [messages, setMessages] = useState([]);
+    const [status, setStatus] = useState({ connected: false, error: null, transport: null, retryAt: null });
+    // The handler is read through a ref so a new function on every render doesn't resubscribe.
+    const onMessageRef = useRef(onMessage);
+    onMessageRef.current = onMessage;
+
+    useEffect(() => {
+        setMessages([]);
+        setStatus({ connected: false, error: null, transport: null, retryAt: null });
+        if (!topic) return;
+
+        const seenIds = new Set();
+        let lastId = since;
+        const subscription = client.subscribe(topic, {
+            since: () => lastId,
+            onOpen: ({ transport }) => setStatus({ connected: true, error: null, transport, retryAt: null }),
+            onMessage: (message) => {
+                if (seenIds.has(message.id)) return;
+                seenIds.add(message.id);
+                lastId = message.id;
+                setMessages(prev => [message, ...prev]);
+                onMessageRef.current?.(message);
+            },
+            onClose: ({ transport, error, unauthorized }) => setStatus({
+                connected: false,
+                error: unauthorized ? `Unauthorized (${error.status})` : error ? error.message : 'Connection closed.',
+                transport,
+                retryAt: null,
+            }),
+            onRetry: ({ retryAt }) => setStatus(prev => ({ ...prev, retryAt })),
+        });
+        return () => subscription.close();
+    }, [client, topic, since]);
+
+    return { messages, ...status };
+};
+
+/**
+ * Keeps every topic in `topics` subscribed with one `client.subscribe` each: streams start for
+ * topics that are added and close for topics that are removed. All of them restart when the
+ * client changes and close when the component unmounts. Unlike `useSubscription` it keeps no
+ * state of its own and leaves it to the handlers, which are read on every event so new
+ * functions on every render don't resubscribe.
+ * @param {ReturnType<typeof createClient>} client - The client.
+ * @param {string[]} topics - The topics.
+ * @param {Object} [handlers] - The handlers of `client.subscribe`, each called with the topic first.
+ * @param {function(string): ?Promise} [handlers.ready] - Resolves when a topic may connect, e.g. once
+ *     its stored history is loaded, so that the first connection can already ask for `since=`.
+ * @param {function(string): ?string} [handlers.since] - Returns the `since=` value for the next connect.
+ * @param {function(string, object): void} [handlers.onOpen] - See `client.subscribe`; so are `onKeepalive`,
+ *     `onMessage`, `onClose` and `onRetry`.
+ * @returns {function(): void} Reconnects every stream that waits out its backoff right away.
+ */
+export const useTopicStreams = (client, topics, handlers = {}) => {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+    // One `{ controller, subscription }` per running stream, keyed by topic.
+    const streamsRef = useRef(new Map());
+    const topicsKey = topics.join(',');
+
+    // Close all streams when the client changes, before they start again below, and on unmount.
+    useEffect(() => {
+        const streams = streamsRef.current;
+        return () => {
+            streams.forEach(stream => stream.controller.abort());
+            streams.clear();
+        };
+    }, [client]);
+
+    useEffect(() => {
+        const streams = streamsRef.current;
+        const wanted = topicsKey ? topicsKey.split(',') : [];
+        for (const [topic, stream] of streams) {
+            if (!wanted.includes(topic)) {
+                stream.controller.abort();
+                streams.delete(topic);
+            }
+        }
+
+        const start = async (topic, stream) => {
+            const { signal } = stream.controller;
+            const handle = (name) => (event) => handlersRef.current[name]?.(topic, event);
+            await handlersRef.current.ready?.(topic);
+            if (signal.aborted) return;
+            stream.subscription = client.subscribe(topic, {
+                signal,
+                since: () => handlersRef.current.since?.(topic) ?? null,
+                onOpen: handle('onOpen'),
+                onKeepalive: handle('onKeepalive'),
+                onMessage: handle('onMessage'),
+                onClose: handle('onClose'),
+                onRetry: handle('onRetry'),
+            });
+        };
+        for (const topic of wanted) {
+            if (streams.has(topic)) continue;
+            const stream = { controller: new AbortController(), subscription: null };
+            streams.set(topic, stream);
+            start(topic, stream);
+        }
+    }, [client, topicsKey]);
+
+    return useCallback(() => streamsRef.current.forEach(stream => stream.subscription?.wake()), []);
+};
+
+/**
+ * Publishes messages and tracks the request in flight.
+ * @param {ReturnType<typeof createClient>} client - The client.
+ * @returns {{publish: function(string, object): Promise<object>, isSending: boolean, progress: ?number, error: ?Error}}
+ *     `publish` takes the same arguments as `client.publish` and rejects like it; `progress` is the
+ *     uploaded fraction of an attachment, or null when no upload is running.
+ */
+export const usePublish = (client) => {
+    const [isSending, setIsSending] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    const publish = useCallback(async (topic, message) => {
+        setIsSending(true);
+        setError(null);
+        if (message.attachment) setProgress(0);
+        try {
+            return await client.publish(topic, { ...message, onProgress: setProgress });
+        } catch (e) {
+            setError(e);
+            throw e;
+        } finally {
+            setIsSending(false);
+            setProgress(null);
+        }
+    }, [client]);
+
+    return { publish, isSending, progress, error };
+};
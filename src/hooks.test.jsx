@@ -0,0 +1,185 @@
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import { afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { useNtfyClient, usePublish, useSubscription, useTopicStreams } from './hooks.js';
+import { startMockServer } from './test/mockNtfyServer.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits until `check` returns something truthy, letting React apply updates in between.
+const waitFor = async (check, timeout = 2000) => {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the condition.');
+        await act(() => sleep(10));
+    }
+};
+
+// Renders a hook and keeps its latest return value in `result.current`.
+const renderHook = async (useHook) => {
+    const result = { current: null };
+    const Probe = () => {
+        result.current = useHook();
+        return null;
+    };
+    let renderer;
+    await act(async () => {
+        renderer = create(<Probe />);
+    });
+    return { result, unmount: () => act(() => renderer.unmount()) };
+};
+
+describe('hooks', () => {
+    let server;
+
+    beforeAll(() => {
+        globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    });
+
+    beforeEach(async () => {
+        server = await startMockServer();
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('useNtfyClient keeps the client while the options stay the same', async () => {
+        const auth = { type: 'token', token: 'tk_test' };
+        const clients = [];
+        const Probe = ({ url }) => {
+            clients.push(useNtfyClient({ server: url, auth }));
+            return null;
+        };
+        let renderer;
+        act(() => { renderer = create(<Probe url={server.url} />); });
+        act(() => renderer.update(<Probe url={server.url} />));
+        act(() => renderer.update(<Probe url="http://other.example" />));
+        expect(clients[1]).toBe(clients[0]);
+        expect(clients[2]).not.toBe(clients[0]);
+        expect(clients[2].server).toBe('http://other.example');
+        act(() => renderer.unmount());
+    });
+
+    it('useSubscription collects new messages, newest first and without duplicates', async () => {
+        const received = [];
+        const { result, unmount } = await renderHook(() => {
+            const client = useNtfyClient({ server: server.url, transport: 'json' });
+            return useSubscription(client, 'alerts', { onMessage: (message) => received.push(message.id) });
+        });
+        await waitFor(() => result.current.connected);
+        expect(result.current.transport).toBe('json');
+
+        server.send({ id: 'a', event: 'message', message: 'one' });
+        server.send({ id: 'b', event: 'message', message: 'two' });
+        server.send({ id: 'a', event: 'message', message: 'one' });
+        await waitFor(() => result.current.messages.length === 2);
+        await act(() => sleep(50));
+
+        expect(result.current.messages.map(msg => msg.id)).toEqual(['b', 'a']);
+        expect(received).toEqual(['a', 'b']);
+        await unmount();
+        await waitFor(() => server.streams.size === 0);
+    });
+
+    it('useSubscription reports rejected credentials', async () => {
+        server.fail(401);
+        const { result, unmount } = await renderHook(() => {
+            const client = useNtfyClient({ server: server.url, transport: 'json' });
+            return useSubscription(client, 'alerts');
+        });
+        await waitFor(() => result.current.error);
+        expect(result.current).toMatchObject({ connected: false, error: 'Unauthorized (401)', retryAt: null });
+        await unmount();
+    });
+
+    it('useTopicStreams keeps one stream per topic and passes the topic to the handlers', async () => {
+        const events = [];
+        let releaseLogs;
+        const logsReady = new Promise(resolve => { releaseLogs = resolve; });
+        const Probe = ({ topics }) => {
+            const client = useNtfyClient({ server: server.url, transport: 'json' });
+            useTopicStreams(client, topics, {
+                ready: (topic) => (topic === 'logs' ? logsReady : null),
+                since: (topic) => (topic === 'alerts' ? 'a0' : null),
+                onOpen: (topic, { transport }) => events.push(['open', topic, transport]),
+                onMessage: (topic, message) => events.push(['message', topic, message.id]),
+            });
+            return null;
+        };
+        let renderer;
+        await act(async () => {
+            renderer = create(<Probe topics={['alerts', 'logs']} />);
+        });
+        await waitFor(() => server.streams.size === 1);
+        // `logs` waits until its history is ready.
+        expect(server.requests.map(request => request.url.pathname)).toEqual(['/alerts/json']);
+        expect(server.requests[0].url.searchParams.get('since')).toBe('a0');
+        await act(async () => releaseLogs());
+        await waitFor(() => server.streams.size === 2);
+
+        server.send({ id: 'm1', event: 'message', message: 'to both' });
+        await waitFor(() => events.filter(([type]) => type === 'message').length === 2);
+        expect(events).toEqual(expect.arrayContaining([
+            ['open', 'alerts', 'json'],
+            ['open', 'logs', 'json'],
+            ['message', 'alerts', 'm1'],
+            ['message', 'logs', 'm1'],
+        ]));
+
+        // Removing a topic only closes its own stream.
+        await act(async () => renderer.update(<Probe topics={['alerts']} />));
+        await waitFor(() => server.streams.size === 1);
+        expect(server.requests).toHaveLength(2);
+
+        await act(async () => renderer.unmount());
+        await waitFor(() => server.streams.size === 0);
+    });
+
+    it('useTopicStreams restarts the streams for a new client', async () => {
+        const other = await startMockServer();
+        const Probe = ({ url }) => {
+            useTopicStreams(useNtfyClient({ server: url, transport: 'json' }), ['alerts']);
+            return null;
+        };
+        let renderer;
+        await act(async () => {
+            renderer = create(<Probe url={server.url} />);
+        });
+        await waitFor(() => server.streams.size === 1);
+        await act(async () => renderer.update(<Probe url={other.url} />));
+        await waitFor(() => server.streams.size === 0 && other.streams.size === 1);
+        await act(async () => renderer.unmount());
+        await waitFor(() => other.streams.size === 0);
+        await other.close();
+    });
+
+    it('usePublish tracks the request and returns the published message', async () => {
+        const { result, unmount } = await renderHook(() => usePublish(useNtfyClient({ server: server.url })));
+        let pending;
+        act(() => {
+            pending = result.current.publish('alerts', { title: 'Hi', message: 'Hello' });
+        });
+        expect(result.current.isSending).toBe(true);
+        let published;
+        await act(async () => {
+            published = await pending;
+        });
+        expect(published).toMatchObject({ topic: 'alerts', title: 'Hi', message: 'Hello' });
+        expect(result.current).toMatchObject({ isSending: false, progress: null, error: null });
+        await unmount();
+    });
+
+    it('usePublish keeps the error of a failed publish', async () => {
+        server.fail(403);
+        const { result, unmount } = await renderHook(() => usePublish(useNtfyClient({ server: server.url })));
+        let error;
+        await act(async () => {
+            error = await result.current.publish('alerts', { message: 'Hello' }).catch(e => e);
+        });
+        expect(error.status).toBe(403);
+        expect(result.current.error).toBe(error);
+        expect(result.current.isSending).toBe(false);
+        await unmount();
+    });
+});
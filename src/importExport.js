@@ -0,0 +1,388 @@
+/**
+ * Import and export of the configuration and the message history, and links that
+ * subscribe someone else to a set of topics.
+ *
+ * The configuration file holds the server profiles with their topics, notification rules
+ * and retention settings. Credentials and API keys are only written when asked for.
+ * History is written in ntfy's wire format, i.e. the message objects the server sends,
+ * as a JSON array, as newline-delimited JSON like the `/json` endpoint, or as CSV.
+ */
+
+import { DEFAULT_AI_SETTINGS } from './ai.js';
+import { DEFAULT_RETENTION } from './messageStore.js';
+import { DEFAULT_RULES } from './notificationRules.js';
+import { DEFAULT_SERVER, TOPIC_REGEX, createProfile, getServerName } from './profiles.js';
+import { SOUNDS } from './sounds.js';
+import { createId } from './storage.js';
+import { TRANSPORTS } from './transports.js';
+
+export const CONFIG_VERSION = 1;
+
+export const HISTORY_FORMATS = [
+    { value: 'json', label: 'JSON', type: 'application/json' },
+    { value: 'ndjson', label: 'NDJSON', type: 'application/x-ndjson' },
+    { value: 'csv', label: 'CSV', type: 'text/csv' },
+];
+
+const CSV_COLUMNS = ['id', 'time', 'expires', 'event', 'topic', 'title', 'message', 'priority', 'tags', 'click', 'icon', 'actions', 'attachment'];
+
+const isServerUrl = (url) => typeof url === 'string' && /^https?:\/\/[^/]+/.test(url);
+
+/**
+ * Offers text as a file download.
+ * @param {string} filename - The suggested file name.
+ * @param {string} content - The file content.
+ * @param {string} type - The MIME type.
+ */
+export const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Builds the configuration file.
+ * @param {object[]} profiles - The server profiles.
+ * @param {object} aiSettings - The AI settings.
+ * @param {boolean} includeSecrets - Whether to include credentials and the API key.
+ * @returns {string} The file content.
+ */
+export const exportConfig = (profiles, aiSettings, includeSecrets) => JSON.stringify({
+    version: CONFIG_VERSION,
+    exported: new Date().toISOString(),
+    servers: profiles.map(profile => ({ ...profile, auth: includeSecrets ? profile.auth : null })),
+    ai: { ...aiSettings, apiKey: includeSecrets ? aiSettings.apiKey : '' },
+}, null, 2);
+
+const validateAuth = (auth) => {
+    if (!auth) return null;
+    if (auth.type === 'token' && typeof auth.token === 'string') return { type: 'token', token: auth.token };
+    if (auth.type === 'basic' && typeof auth.username === 'string') {
+        return { type: 'basic', username: auth.username, password: String(auth.password || '') };
+    }
+    throw new Error('Unknown credentials.');
+};
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+// Checks for each setting of `DEFAULT_RULES`; settings missing from a file keep their defaults.
+const RULE_CHECKS = {
+    muted: (value) => typeof value === 'boolean',
+    snoozedUntil: (value) => value === null || Number.isFinite(value),
+    minPriority: (value) => Number.isInteger(value) && value >= 1 && value <= 5,
+    quietHours: (value) => isObject(value)
+        && ['enabled', 'allowUrgent'].every(key => value[key] === undefined || typeof value[key] === 'boolean')
+        && ['start', 'end'].every(key => value[key] === undefined || isTime(value[key])),
+    include: (value) => typeof value === 'string',
+    exclude: (value) => typeof value === 'string',
+    filtered: (value) => value === 'store' || value === 'display',
+    sounds: (value) => isObject(value)
+        && Object.entries(value).every(([priority, sound]) => priority in DEFAULT_RULES.sounds && SOUNDS.some(s => s.value === sound)),
+};
+
+/**
+ * Keeps the known notification rules of an imported topic.
+ * @throws {Error} When a rule has a value the client can't use.
+ */
+const validateRules = (rules) => {
+    if (!isObject(rules)) throw new Error('Invalid notification rules.');
+    const valid = {};
+    for (const key of Object.keys(DEFAULT_RULES)) {
+        if (rules[key] === undefined) continue;
+        if (!RULE_CHECKS[key](rules[key])) throw new Error(`Invalid notification rule "${key}".`);
+        valid[key] = rules[key];
+    }
+    return valid;
+};
+
+const validateRetention = (retention) => {
+    if (!isObject(retention)) throw new Error('Invalid retention settings.');
+    const valid = {};
+    for (const key of Object.keys(DEFAULT_RETENTION)) {
+        if (retention[key] === undefined) continue;
+        if (!isCount(retention[key])) throw new Error(`Invalid retention setting "${key}".`);
+        valid[key] = retention[key];
+    }
+    return { ...DEFAULT_RETENTION, ...valid };
+};
+
+const validateTransport = (transport) => {
+    if (transport === undefined) return 'auto';
+    if (transport !== 'auto' && !TRANSPORTS.some(t => t.value === transport)) throw new Error(`Unknown transport "${transport}".`);
+    return transport;
+};
+
+const validateSubscription = (sub) => {
+    if (!TOPIC_REGEX.test(sub?.topic)) throw new Error(`Invalid topic name "${sub?.topic}".`);
+    try {
+        return {
+            topic: sub.topic,
+            enabled: sub.enabled !== false,
+            ...(sub.webPush ? { webPush: true } : {}),
+            ...(sub.rules ? { rules: validateRules(sub.rules) } : {}),
+            ...(sub.retention ? { retention: validateRetention(sub.retention) } : {}),
+        };
+    } catch (error) {
+        throw new Error(`Topic "${sub.topic}": ${error.message}`);
+    }
+};
+
+/**
+ * Reads and validates a configuration file.
+ * @param {string} text - The file content.
+ * @returns {{servers: object[], ai: ?object}}
+ * @throws {Error} With a message to show when the file is not a valid configuration.
+ */
+export const parseConfig = (text) => {
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!config || !Array.isArray(config.servers)) throw new Error('The file contains no servers.');
+    if (config.version > CONFIG_VERSION) throw new Error('The file was written by a newer version of this client.');
+
+    const servers = config.servers.map((server, index) => {
+        try {
+            if (!isServerUrl(server?.url)) throw new Error(`Invalid URL "${server?.url}".`);
+            const url = server.url.replace(/\/$/, '');
+            return createProfile(url, {
+                ...(typeof server.id === 'string' && server.id ? { id: server.id } : {}),
+                name: typeof server.name === 'string' && server.name.trim() ? server.name.trim() : getServerName(url),
+                auth: validateAuth(server.auth),
+                transport: validateTransport(server.transport),
+                subscriptions: (Array.isArray(server.subscriptions) ? server.subscriptions : []).map(validateSubscription),
+            });
+        } catch (error) {
+            throw new Error(`Server ${index + 1}: ${error.message}`);
+        }
+    });
+    const ai = config.ai && typeof config.ai === 'object'
+        ? Object.fromEntries(Object.keys(DEFAULT_AI_SETTINGS).map(key => [key, typeof config.ai[key] === 'string' ? config.ai[key] : DEFAULT_AI_SETTINGS[key]]))
+        : null;
+    return { servers, ai };
+};
+
+/**
+ * Merges imported profiles into the existing ones. Profiles are matched by id, then by
+ * URL; topics within a profile by name. Imported settings win, but existing credentials
+ * are kept when the file has none.
+ * @param {object[]} profiles - The existing profiles.
+ * @param {object[]} imported - The profiles from `parseConfig`.
+ * @returns {object[]}
+ */
+export const mergeProfiles = (profiles, imported) => imported.reduce((merged, profile) => {
+    const index = merged.findIndex(p => p.id === profile.id);
+    const match = index !== -1 ? index : merged.findIndex(p => p.url === profile.url);
+    if (match === -1) {
+        // Keep ids unique in case the same profile was imported before under a different URL.
+        return [...merged, merged.some(p => p.id === profile.id) ? { ...profile, id: createId() } : profile];
+    }
+    const existing = merged[match];
+    const subscriptions = [...existing.subscriptions];
+    for (const sub of profile.subscriptions) {
+        const subIndex = subscriptions.findIndex(s => s.topic === sub.topic);
+        if (subIndex === -1) subscriptions.push(sub);
+        else subscriptions[subIndex] = { ...subscriptions[subIndex], ...sub };
+    }
+    return merged.map((p, i) => (i === match ? { ...existing, ...profile, id: existing.id, auth: profile.auth || existing.auth, subscriptions } : p));
+}, profiles);
+
+/**
+ * Returns a message as ntfy sends it, without the fields this client adds.
+ * @param {object} message - A stored message.
+ */
+export const toWireFormat = ({ server, read, pinned, ...message }) => ({ event: 'message', ...message });
+
+const escapeCsv = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Builds a history file.
+ * @param {object[]} messages - The messages, in the order to write them.
+ * @param {'json'|'ndjson'|'csv'} format - The file format.
+ * @returns {string} The file content.
+ */
+export const exportHistory = (messages, format) => {
+    const wire = messages.map(toWireFormat);
+    if (format === 'ndjson') return wire.map(msg => JSON.stringify(msg)).join('\n') + '\n';
+    if (format === 'csv') {
+        const rows = wire.map(msg => CSV_COLUMNS.map(column => {
+            const value = msg[column];
+            if (value === undefined || value === null) return '';
+            if (column === 'tags') return escapeCsv(value.join(','));
+            if (typeof value === 'object') return escapeCsv(JSON.stringify(value));
+            return escapeCsv(String(value));
+        }).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+    return JSON.stringify(wire, null, 2);
+};
+
+/**
+ * Splits CSV into rows of fields, honouring quoted fields with commas, quotes and line breaks.
+ * @param {string} text - The CSV.
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) rows.push([...row, field]);
+    return rows.filter(r => r.some(Boolean));
+};
+
+// Reads the rows of a CSV history; a row with a broken JSON cell becomes null so it counts as invalid.
+const fromCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    return rows.map(row => {
+        const message = {};
+        try {
+            header.forEach((column, index) => {
+                const value = row[index];
+                if (!value) return;
+                if (column === 'time' || column === 'expires' || column === 'priority') message[column] = Number(value);
+                else if (column === 'tags') message.tags = value.split(',');
+                else if (column === 'actions' || column === 'attachment') message[column] = JSON.parse(value);
+                else message[column] = value;
+            });
+        } catch (error) {
+            return null;
+        }
+        return message;
+    });
+};
+
+const isOptional = (value, check) => value === undefined || check(value);
+
+/**
+ * Checks that a history record can be stored and shown: it needs an id, time and topic,
+ * a text `message`, and `tags`, `actions` and `attachment` in the shape ntfy sends them.
+ * @param {*} msg - The record, with `message` defaulted to an empty string.
+ * @returns {boolean}
+ */
+const isValidHistoryMessage = (msg) => (
+    isObject(msg)
+    && typeof msg.id === 'string' && !!msg.id
+    && Number.isFinite(msg.time)
+    && TOPIC_REGEX.test(msg.topic)
+    && (msg.event === undefined || msg.event === 'message')
+    && typeof msg.message === 'string'
+    && isOptional(msg.title, value => typeof value === 'string')
+    && isOptional(msg.tags, value => Array.isArray(value) && value.every(tag => typeof tag === 'string'))
+    && isOptional(msg.actions, value => Array.isArray(value) && value.every(isObject))
+    && isOptional(msg.attachment, isObject)
+);
+
+/**
+ * Reads a history file in any of the `HISTORY_FORMATS` and keeps the valid messages.
+ * @param {string} text - The file content.
+ * @returns {{messages: object[], invalid: number}}
+ * @throws {Error} When the file can't be read at all.
+ */
+export const parseHistory = (text) => {
+    const trimmed = text.trim();
+    let records;
+    try {
+        if (trimmed.startsWith('[')) {
+            records = JSON.parse(trimmed);
+        } else if (trimmed.startsWith('{')) {
+            records = trimmed.split('\n').filter(line => line.trim()).map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            });
+        } else {
+            records = fromCsv(trimmed);
+        }
+    } catch (error) {
+        throw new Error('The file is not valid JSON, NDJSON or CSV.');
+    }
+    if (!Array.isArray(records)) throw new Error('The file contains no messages.');
+
+    // Exports leave out empty values, so a message with an empty body has no `message`.
+    const messages = records
+        .map(msg => (isObject(msg) && msg.message === undefined ? { ...msg, message: '' } : msg))
+        .filter(isValidHistoryMessage);
+    return { messages: messages.map(({ server, ...msg }) => ({ ...msg, event: 'message' })), invalid: records.length - messages.length };
+};
+
+/**
+ * Builds a link that subscribes whoever opens it to topics on a server.
+ * @param {string} server - The server URL.
+ * @param {string[]} topics - The topics.
+ */
+export const buildShareLink = (server, topics) => {
+    const url = new URL(window.location.pathname, window.location.origin);
+    if (server !== DEFAULT_SERVER) url.searchParams.set('server', server);
+    url.searchParams.set('subscribe', topics.join(','));
+    return url.toString();
+};
+
+/**
+ * Reads a link built by `buildShareLink`.
+ * @param {string} search - The query string, e.g. `window.location.search`.
+ * @returns {?{server: string, topics: string[]}} Null when the link subscribes to nothing.
+ */
+export const readShareLink = (search) => {
+    const params = new URLSearchParams(search);
+    const topics = (params.get('subscribe') || '').split(',').map(t => t.trim()).filter(t => TOPIC_REGEX.test(t));
+    const server = (params.get('server') || DEFAULT_SERVER).replace(/\/$/, '');
+    if (topics.length === 0 || !isServerUrl(server)) return null;
+    return { server, topics };
+};
+
+/**
+ * Adds the topics of a share link to the profile of its server, creating the profile if needed.
+ * @param {object[]} profiles - The server profiles.
+ * @param {?{server: string, topics: string[]}} link - The link from `readShareLink`.
+ * @returns {object[]}
+ */
+export const applyShareLink = (profiles, link) => {
+    if (!link) return profiles;
+    const existing = profiles.find(p => p.url === link.server);
+    const profile = existing || createProfile(link.server);
+    const known = profile.subscriptions.map(sub => sub.topic);
+    const updated = {
+        ...profile,
+        subscriptions: [
+            ...profile.subscriptions.map(sub => (link.topics.includes(sub.topic) ? { ...sub, enabled: true } : sub)),
+            ...link.topics.filter(topic => !known.includes(topic)).map(topic => ({ topic, enabled: true })),
+        ],
+    };
+    return existing ? profiles.map(p => (p === existing ? updated : p)) : [...profiles, updated];
+};
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { exportHistory, parseHistory } from './importExport.js';
+
+const message = (fields = {}) => ({ id: 'a', time: 100, event: 'message', topic: 'alerts', message: 'hello', ...fields });
+
+describe('parseHistory', () => {
+    it.each(['json', 'ndjson', 'csv'])('reads back an exported %s history', (format) => {
+        const messages = [
+            message({ title: 'Hi', tags: ['warning', 'skull'], actions: [{ action: 'view', label: 'Open', url: 'https://example.com' }] }),
+            message({ id: 'b', time: 200, priority: 4 }),
+        ];
+        expect(parseHistory(exportHistory(messages, format))).toEqual({ messages, invalid: 0 });
+    });
+
+    it.each(['json', 'ndjson', 'csv'])('keeps a message with an empty body in %s', (format) => {
+        const { messages } = parseHistory(exportHistory([message({ message: '' })], format));
+        expect(messages).toEqual([message({ message: '' })]);
+    });
+
+    it('skips records that would break rendering', () => {
+        const records = [
+            message(),
+            message({ id: 'tags', tags: 'oops' }),
+            message({ id: 'actions', actions: 'x' }),
+            message({ id: 'action', actions: ['x'] }),
+            message({ id: 'body', message: 42 }),
+            message({ id: 'title', title: { text: 'Hi' } }),
+            message({ id: 'attachment', attachment: 'file.txt' }),
+            message({ id: 'topic', topic: 'not a topic' }),
+            message({ id: '' }),
+            null,
+        ];
+        expect(parseHistory(JSON.stringify(records))).toEqual({ messages: [message()], invalid: 9 });
+    });
+
+    it('skips CSV rows with a broken JSON cell instead of rejecting the file', () => {
+        const csv = [
+            'id,time,topic,message,actions',
+            'a,100,alerts,hello,',
+            'b,200,alerts,broken,{not json',
+        ].join('\n');
+        expect(parseHistory(csv)).toEqual({ messages: [message()], invalid: 1 });
+    });
+
+    it('rejects a file that can not be read and counts records that are no messages', () => {
+        expect(() => parseHistory('[broken')).toThrow('The file is not valid JSON, NDJSON or CSV.');
+        expect(parseHistory('{"messages": []}')).toEqual({ messages: [], invalid: 1 });
+    });
+});
@@ -0,0 +1,445 @@
+/**
+ * IndexedDB-backed message history. Messages are stored by id and indexed by
+ * server, topic and time, so a topic's history can be read page by page, newest first.
+ * The same topic name on two servers has two separate histories. Besides ntfy's own
+ * fields, messages carry the client's `read` and `pinned` flags. Booleans can't be index
+ * keys, so records store them as `unread: 1` and `pinned: 1` or leave them out, which keeps
+ * a topic's unread and pinned messages in indexes of their own. Messages the user
+ * deleted are remembered in a separate store, so syncing with the server doesn't restore them,
+ * and so is when each topic was last cleared.
+ */
+
+import { DEFAULT_SERVER } from './profiles.js';
+
+const DB_NAME = 'ntfy';
+const DB_VERSION = 5;
+const STORE = 'messages';
+// Tombstones `{id, server, topic, time}` of deleted messages.
+const DELETED = 'deleted';
+// `{server, topic, time}` of the last time a topic's history was cleared.
+const CLEARED = 'cleared';
+
+// Number of messages loaded per page when scrolling through a topic's history.
+export const PAGE_SIZE = 50;
+
+export const DEFAULT_RETENTION = { maxCount: 1000, maxAgeDays: 30 };
+
+let dbPromise = null;
+
+/**
+ * Turns a message into the record that is stored, see the flags above.
+ * @param {object} message - The message.
+ */
+const toRecord = ({ read, pinned, ...message }) => ({
+    ...message,
+    ...(read === false ? { unread: 1 } : {}),
+    ...(pinned ? { pinned: 1 } : {}),
+});
+
+/**
+ * Turns a stored record back into a message.
+ * @param {object} record - The record.
+ */
+const fromRecord = ({ unread, pinned, ...message }) => ({
+    ...message,
+    ...(unread ? { read: false } : {}),
+    ...(pinned ? { pinned: true } : {}),
+});
+
+/**
+ * Resolves once a transaction has committed.
+ * @param {IDBTransaction} tx - The transaction.
+ */
+const done = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Moves the histories the client used to keep in localStorage (`ntfy-history-<topic>`,
+ * capped at 50 messages each) into IndexedDB and removes the old keys. Those histories
+ * didn't record their server; the client always started on the default one.
+ * @param {IDBDatabase} db - The open database.
+ */
+const migrateLocalStorage = async (db) => {
+    const keys = Object.keys(localStorage).filter(key => key.startsWith('ntfy-history-'));
+    if (keys.length === 0) return;
+
+    const tx = db.transaction(STORE, 'readwrite');
+    for (const key of keys) {
+        const topic = key.slice('ntfy-history-'.length);
+        try {
+            const messages = JSON.parse(localStorage.getItem(key)) || [];
+            messages.forEach(msg => tx.objectStore(STORE).put({ ...msg, server: DEFAULT_SERVER, topic: msg.topic || topic }));
+        } catch (error) {
+            console.error(`Failed to migrate history for topic ${topic} from localStorage`, error);
+        }
+    }
+    await done(tx);
+    keys.forEach(key => localStorage.removeItem(key));
+    console.log(`Migrated ${keys.length} topic histories from localStorage to IndexedDB.`);
+};
+
+/**
+ * Opens the database, creating and migrating it on first use.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (e) => {
+                let store;
+                if (e.oldVersion < 1) {
+                    store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                    store.createIndex('time', 'time');
+                } else {
+                    store = request.transaction.objectStore(STORE);
+                }
+                if (e.oldVersion < 2) {
+                    // Version 1 indexed by topic only; its messages all came from the default server.
+                    if (store.indexNames.contains('topic_time')) {
+                        store.deleteIndex('topic_time');
+                        store.openCursor().onsuccess = (event) => {
+                            const cursor = event.target.result;
+                            if (!cursor) return;
+                            if (!cursor.value.server) cursor.update({ ...cursor.value, server: DEFAULT_SERVER });
+                            cursor.continue();
+                        };
+                    }
+                    // Includes the id so pages can continue exactly after the last message shown.
+                    store.createIndex('server_topic_time', ['server', 'topic', 'time', 'id']);
+                }
+                if (e.oldVersion < 3) {
+                    request.result.createObjectStore(DELETED, { keyPath: 'id' })
+                        .createIndex('server_topic_time', ['server', 'topic', 'time']);
+                }
+                if (e.oldVersion < 4) {
+                    request.result.createObjectStore(CLEARED, { keyPath: ['server', 'topic'] });
+                }
+                if (e.oldVersion < 5) {
+                    // Version 4 stored the flags as booleans. Messages older than the flags have neither.
+                    if (e.oldVersion > 0) {
+                        store.openCursor().onsuccess = (event) => {
+                            const cursor = event.target.result;
+                            if (!cursor) return;
+                            if ('read' in cursor.value || 'pinned' in cursor.value) cursor.update(toRecord(cursor.value));
+                            cursor.continue();
+                        };
+                    }
+                    store.createIndex('server_topic_unread', ['server', 'topic', 'unread', 'time', 'id']);
+                    store.createIndex('server_topic_pinned', ['server', 'topic', 'pinned', 'time', 'id']);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(async (db) => {
+            await migrateLocalStorage(db);
+            return db;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Returns the key range of the `server_topic_time` index that covers a whole topic.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ */
+const topicRange = (server, topic) => IDBKeyRange.bound([server, topic, -Infinity, ''], [server, topic, Infinity, '\uffff']);
+
+/**
+ * Returns the key range of the `server_topic_unread` or `server_topic_pinned` index that
+ * covers the flagged messages of a topic.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ */
+const flagRange = (server, topic) => IDBKeyRange.bound([server, topic, 1, -Infinity, ''], [server, topic, 1, Infinity, '\uffff']);
+
+/**
+ * Stores a received message unless a message with the same id is already stored
+ * or was deleted by the user.
+ * @param {object} message - The ntfy message, including its `topic` and the `server` it came from.
+ * @returns {Promise<boolean>} Whether the message was new.
+ */
+export const addMessage = async (message) => {
+    const db = await openDb();
+    const tx = db.transaction([STORE, DELETED], 'readwrite');
+    const tombstone = tx.objectStore(DELETED).getKey(message.id);
+
+    return new Promise((resolve, reject) => {
+        let added = false;
+        tombstone.onsuccess = () => {
+            if (tombstone.result !== undefined) return;
+            const request = tx.objectStore(STORE).add(toRecord(message));
+            request.onsuccess = () => { added = true; };
+            request.onerror = (e) => {
+                // Already stored. Prevent the failed add from aborting the transaction.
+                if (request.error.name === 'ConstraintError') e.preventDefault();
+            };
+        };
+        tx.oncomplete = () => resolve(added);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+/**
+ * Reads a page of a topic's history, newest first.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ * @param {object} [after] - The oldest message of the previous page; omit for the first page.
+ * @param {number} [limit] - The page size.
+ * @returns {Promise<object[]>}
+ */
+export const getMessages = async (server, topic, after = null, limit = PAGE_SIZE) => {
+    const db = await openDb();
+    const index = db.transaction(STORE).objectStore(STORE).index('server_topic_time');
+    const range = after
+        ? IDBKeyRange.bound([server, topic, -Infinity, ''], [server, topic, after.time, after.id], false, true)
+        : topicRange(server, topic);
+
+    return new Promise((resolve, reject) => {
+        const messages = [];
+        const request = index.openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || messages.length >= limit) {
+                resolve(messages);
+                return;
+            }
+            messages.push(fromRecord(cursor.value));
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Searches a topic's history, newest first, reading only the time range asked for.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ * @param {{since?: number, until?: number, match?: function(object): boolean, limit?: number}} [options] - The
+ *     range of publish times in Unix seconds, both ends included, a test the messages have to pass and
+ *     the maximum number of messages returned.
+ * @returns {Promise<object[]>}
+ */
+export const findMessages = async (server, topic, { since = -Infinity, until = Infinity, match = () => true, limit = Infinity } = {}) => {
+    const db = await openDb();
+    const index = db.transaction(STORE).objectStore(STORE).index('server_topic_time');
+    const range = IDBKeyRange.bound([server, topic, since, ''], [server, topic, until, '\uffff']);
+
+    return new Promise((resolve, reject) => {
+        const messages = [];
+        const request = index.openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || messages.length >= limit) {
+                resolve(messages);
+                return;
+            }
+            const message = fromRecord(cursor.value);
+            if (match(message)) messages.push(message);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Reads when the stored messages of a topic were published, from the index alone.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ * @param {number} since - Only messages published at or after this Unix time in seconds.
+ * @returns {Promise<number[]>} The publish times in Unix seconds, oldest first.
+ */
+export const getMessageTimes = async (server, topic, since) => {
+    const db = await openDb();
+    const index = db.transaction(STORE).objectStore(STORE).index('server_topic_time');
+    const range = IDBKeyRange.bound([server, topic, since, ''], [server, topic, Infinity, '\uffff']);
+
+    return new Promise((resolve, reject) => {
+        const times = [];
+        const request = index.openKeyCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(times);
+                return;
+            }
+            times.push(cursor.key[2]);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Reads the pinned messages of a topic, newest first.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ * @returns {Promise<object[]>}
+ */
+export const getPinnedMessages = async (server, topic) => {
+    const db = await openDb();
+    const request = db.transaction(STORE).objectStore(STORE).index('server_topic_pinned').getAll(flagRange(server, topic));
+
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result.map(fromRecord).reverse());
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Counts the unread messages of a topic, including those not loaded into the list.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ * @returns {Promise<number>}
+ */
+export const countUnreadMessages = async (server, topic) => {
+    const db = await openDb();
+    const request = db.transaction(STORE).objectStore(STORE).index('server_topic_unread').count(flagRange(server, topic));
+
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Marks every stored message of a topic read.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ */
+export const markTopicRead = async (server, topic) => {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).index('server_topic_unread').openCursor(flagRange(server, topic)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        cursor.update(toRecord({ ...fromRecord(cursor.value), read: true }));
+        cursor.continue();
+    };
+    await done(tx);
+};
+
+/**
+ * Changes fields of a stored message, such as `read` or `pinned`.
+ * @param {string} id - The message id.
+ * @param {object} changes - The fields to set.
+ * @returns {Promise<boolean>} Whether the message was stored.
+ */
+export const updateMessage = async (id, changes) => {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    let found = false;
+    const request = store.get(id);
+    request.onsuccess = () => {
+        if (!request.result) return;
+        found = true;
+        store.put(toRecord({ ...fromRecord(request.result), ...changes }));
+    };
+    await done(tx);
+    return found;
+};
+
+/**
+ * Deletes a single message and leaves a tombstone, so `addMessage` refuses it when
+ * the server sends it again. Tombstones expire with the topic's `maxAgeDays` retention.
+ * @param {{id: string, server: string, topic: string, time: number}} message - The message.
+ */
+export const deleteMessage = async ({ id, server, topic, time }) => {
+    const db = await openDb();
+    const tx = db.transaction([STORE, DELETED], 'readwrite');
+    tx.objectStore(STORE).delete(id);
+    tx.objectStore(DELETED).put({ id, server, topic, time });
+    await done(tx);
+};
+
+/**
+ * Deletes the whole history of a topic and remembers when, see `getClearedAt`.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ */
+export const clearTopic = async (server, topic) => {
+    const db = await openDb();
+    const tx = db.transaction([STORE, CLEARED], 'readwrite');
+    const store = tx.objectStore(STORE);
+    const request = store.index('server_topic_time').getAllKeys(topicRange(server, topic));
+    request.onsuccess = () => request.result.forEach(key => store.delete(key));
+    tx.objectStore(CLEARED).put({ server, topic, time: Math.floor(Date.now() / 1000) });
+    await done(tx);
+};
+
+/**
+ * Reads when the history of a topic was last cleared, so messages published before
+ * can be left out when the server cache is fetched again.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ * @returns {Promise<?number>} The Unix time in seconds, or null if it was never cleared.
+ */
+export const getClearedAt = async (server, topic) => {
+    const db = await openDb();
+    const request = db.transaction(CLEARED).objectStore(CLEARED).get([server, topic]);
+
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result ? request.result.time : null);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Deletes the messages of a topic that fall outside its retention: everything older
+ * than `maxAgeDays`, and everything beyond the newest `maxCount` messages.
+ * A limit of 0 disables it. Pinned messages are always kept and don't count. Tombstones
+ * of deleted messages older than `maxAgeDays` are dropped too, as the server no longer has them.
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string} topic - The topic.
+ * @param {{maxCount: number, maxAgeDays: number}} retention - The retention settings.
+ * @returns {Promise<number>} The number of deleted messages.
+ */
+export const applyRetention = async (server, topic, { maxCount, maxAgeDays }) => {
+    const db = await openDb();
+    const tx = db.transaction([STORE, DELETED], 'readwrite');
+    const store = tx.objectStore(STORE);
+    const cutoff = maxAgeDays > 0 ? Date.now() / 1000 - maxAgeDays * 86400 : -Infinity;
+    let kept = 0;
+    let deleted = 0;
+
+    if (maxAgeDays > 0) {
+        tx.objectStore(DELETED).index('server_topic_time')
+            .openCursor(IDBKeyRange.bound([server, topic, -Infinity], [server, topic, cutoff], false, true))
+            .onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+    }
+
+    await new Promise((resolve, reject) => {
+        const request = store.index('server_topic_time').openCursor(topicRange(server, topic), 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            if (cursor.value.pinned) {
+                cursor.continue();
+                return;
+            }
+            if (cursor.value.time < cutoff || (maxCount > 0 && kept >= maxCount)) {
+                cursor.delete();
+                deleted++;
+            } else {
+                kept++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    await done(tx);
+    return deleted;
+};
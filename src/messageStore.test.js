@@ -0,0 +1,135 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const SERVER = 'https://ntfy.example';
+
+// Each test gets a fresh database, since the module keeps its connection open.
+const loadStore = async () => {
+    vi.resetModules();
+    indexedDB = new IDBFactory();
+    return import('./messageStore.js');
+};
+
+const message = (id, time, fields = {}) => ({ id, time, event: 'message', server: SERVER, topic: 'alerts', message: id, ...fields });
+
+describe('messageStore', () => {
+    let store;
+
+    beforeEach(async () => {
+        vi.stubGlobal('localStorage', {});
+        store = await loadStore();
+    });
+
+    it('getMessageTimes returns the publish times since a point in time, oldest first', async () => {
+        for (const msg of [message('c', 300), message('a', 100), message('b', 200), message('other', 250, { topic: 'other' })]) {
+            await store.addMessage(msg);
+        }
+        await store.addMessage({ ...message('elsewhere', 250), server: 'https://other.example' });
+        expect(await store.getMessageTimes(SERVER, 'alerts', 150)).toEqual([200, 300]);
+        expect(await store.getMessageTimes(SERVER, 'alerts', 0)).toEqual([100, 200, 300]);
+    });
+
+    it('findMessages searches a time range of the whole topic, newest first', async () => {
+        for (let i = 1; i <= 120; i++) {
+            await store.addMessage(message(`m${i}`, i, { message: i % 10 === 0 ? 'disk full' : 'ok', read: i === 20 ? false : undefined }));
+        }
+        const match = (msg) => msg.message === 'disk full';
+        expect((await store.findMessages(SERVER, 'alerts', { match })).map(msg => msg.id))
+            .toEqual(['m120', 'm110', 'm100', 'm90', 'm80', 'm70', 'm60', 'm50', 'm40', 'm30', 'm20', 'm10']);
+        expect((await store.findMessages(SERVER, 'alerts', { since: 20, until: 40, match })).map(msg => msg.id)).toEqual(['m40', 'm30', 'm20']);
+        expect((await store.findMessages(SERVER, 'alerts', { match, limit: 2 })).map(msg => msg.id)).toEqual(['m120', 'm110']);
+        expect((await store.findMessages(SERVER, 'alerts', { since: 20, until: 20 }))[0]).toEqual(message('m20', 20, { message: 'disk full', read: false }));
+    });
+
+    it('refuses a deleted message when it is added again', async () => {
+        const msg = message('a', 100);
+        expect(await store.addMessage(msg)).toBe(true);
+        expect(await store.addMessage(msg)).toBe(false);
+        await store.deleteMessage(msg);
+        expect(await store.addMessage(msg)).toBe(false);
+        expect(await store.getMessages(SERVER, 'alerts')).toEqual([]);
+    });
+
+    it('drops tombstones with the messages that fall outside maxAgeDays', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const old = message('old', now - 3 * 86400);
+        const recent = message('recent', now - 60);
+        await store.addMessage(old);
+        await store.addMessage(recent);
+        await store.deleteMessage(old);
+        await store.deleteMessage(recent);
+        await store.applyRetention(SERVER, 'alerts', { maxCount: 0, maxAgeDays: 2 });
+        expect(await store.addMessage(old)).toBe(true);
+        expect(await store.addMessage(recent)).toBe(false);
+    });
+
+    it('getPinnedMessages returns the pinned messages of a topic, newest first', async () => {
+        for (const msg of [message('a', 100, { pinned: true }), message('b', 200), message('c', 300, { pinned: true }), message('d', 250, { topic: 'other', pinned: true })]) {
+            await store.addMessage(msg);
+        }
+        await store.updateMessage('b', { pinned: true });
+        await store.updateMessage('c', { pinned: false });
+        const pinned = await store.getPinnedMessages(SERVER, 'alerts');
+        expect(pinned.map(msg => msg.id)).toEqual(['b', 'a']);
+        expect(pinned[0]).toEqual(message('b', 200, { pinned: true }));
+    });
+
+    it('counts unread messages across the whole topic and marks them read', async () => {
+        for (let i = 0; i < 60; i++) {
+            await store.addMessage(message(`m${i}`, i, { read: i % 2 === 0 ? false : true }));
+        }
+        await store.addMessage(message('other', 1, { topic: 'other', read: false }));
+        expect(await store.countUnreadMessages(SERVER, 'alerts')).toBe(30);
+
+        await store.updateMessage('m0', { read: true });
+        expect(await store.countUnreadMessages(SERVER, 'alerts')).toBe(29);
+        const [newest] = await store.getMessages(SERVER, 'alerts', null, 1);
+        expect(newest).toEqual(message('m59', 59));
+
+        await store.markTopicRead(SERVER, 'alerts');
+        expect(await store.countUnreadMessages(SERVER, 'alerts')).toBe(0);
+        expect(await store.countUnreadMessages(SERVER, 'other')).toBe(1);
+        expect((await store.getMessages(SERVER, 'alerts', null, Infinity)).some(msg => 'read' in msg)).toBe(false);
+    });
+
+    it('clearTopic deletes the topic history and remembers when', async () => {
+        await store.addMessage(message('a', 100));
+        await store.addMessage(message('b', 200, { topic: 'other' }));
+        expect(await store.getClearedAt(SERVER, 'alerts')).toBeNull();
+        const before = Math.floor(Date.now() / 1000);
+        await store.clearTopic(SERVER, 'alerts');
+        expect(await store.getMessages(SERVER, 'alerts')).toEqual([]);
+        expect((await store.getMessages(SERVER, 'other')).map(msg => msg.id)).toEqual(['b']);
+        expect(await store.getClearedAt(SERVER, 'alerts')).toBeGreaterThanOrEqual(before);
+        expect(await store.getClearedAt(SERVER, 'other')).toBeNull();
+    });
+
+    it('moves the boolean flags of version 4 into the indexes', async () => {
+        indexedDB = new IDBFactory();
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.open('ntfy', 4);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const messages = db.createObjectStore('messages', { keyPath: 'id' });
+                messages.createIndex('time', 'time');
+                messages.createIndex('server_topic_time', ['server', 'topic', 'time', 'id']);
+                messages.put(message('a', 100, { read: false, pinned: true }));
+                messages.put(message('b', 200, { read: true, pinned: false }));
+                messages.put(message('c', 300));
+                db.createObjectStore('deleted', { keyPath: 'id' }).createIndex('server_topic_time', ['server', 'topic', 'time']);
+                db.createObjectStore('cleared', { keyPath: ['server', 'topic'] });
+            };
+            request.onsuccess = () => {
+                request.result.close();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+        vi.resetModules();
+        store = await import('./messageStore.js');
+
+        expect(await store.countUnreadMessages(SERVER, 'alerts')).toBe(1);
+        expect(await store.getPinnedMessages(SERVER, 'alerts')).toEqual([message('a', 100, { read: false, pinned: true })]);
+        expect(await store.getMessages(SERVER, 'alerts')).toEqual([message('c', 300), message('b', 200), message('a', 100, { read: false, pinned: true })]);
+    });
+});
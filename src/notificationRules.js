@@ -0,0 +1,96 @@
+/**
+ * Per-topic rules that decide whether a received message raises a notification,
+ * plays a sound and is stored in the history.
+ */
+
+export const DEFAULT_RULES = {
+    muted: false,
+    // Timestamp in milliseconds until which notifications are snoozed, or null.
+    snoozedUntil: null,
+    minPriority: 1,
+    quietHours: { enabled: false, start: '22:00', end: '07:00', allowUrgent: true },
+    // Comma separated keywords or tags.
+    include: '',
+    exclude: '',
+    // What happens to messages the priority and keyword rules filter out:
+    // `store` keeps them silently in the history, `display` only shows them until reload.
+    filtered: 'store',
+    // Sound per priority, see `SOUNDS` in sounds.js.
+    sounds: { 1: 'none', 2: 'none', 3: 'none', 4: 'none', 5: 'none' },
+};
+
+/**
+ * Returns the rules of a topic with defaults filled in for missing settings.
+ * @param {object|undefined} rules - The stored rules.
+ * @returns {typeof DEFAULT_RULES}
+ */
+export const getRules = (rules) => ({
+    ...DEFAULT_RULES,
+    ...rules,
+    quietHours: { ...DEFAULT_RULES.quietHours, ...rules?.quietHours },
+    sounds: { ...DEFAULT_RULES.sounds, ...rules?.sounds },
+});
+
+/**
+ * Returns true while notifications of a topic are muted or snoozed.
+ * @param {typeof DEFAULT_RULES} rules - The topic's rules.
+ * @param {number} now - The current time in milliseconds.
+ */
+export const isSilenced = (rules, now = Date.now()) => rules.muted || (rules.snoozedUntil !== null && rules.snoozedUntil > now);
+
+/**
+ * Returns true when `date` falls within quiet hours. A range whose end is before its
+ * start, like 22:00–07:00, spans midnight.
+ * @param {{start: string, end: string}} quietHours - The range as `HH:MM`.
+ * @param {Date} date - The time to check.
+ */
+const isInQuietHours = ({ start, end }, date) => {
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const current = date.getHours() * 60 + date.getMinutes();
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return from <= to ? current >= from && current < to : current >= from || current < to;
+};
+
+const parseTerms = (text) => text.split(',').map(term => term.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Returns true when a keyword occurs in the title or body, or is one of the tags.
+ */
+const matchesTerm = (message, term) => (
+    `${message.title || ''}\n${message.message || ''}`.toLowerCase().includes(term)
+    || (message.tags || []).some(tag => tag.toLowerCase() === term)
+);
+
+/**
+ * Decides what to do with a received message.
+ * @param {object} message - The ntfy message.
+ * @param {object|undefined} storedRules - The rules of the message's topic.
+ * @param {Date} [date] - The current time.
+ * @returns {{notify: boolean, store: boolean, sound: string}} Whether to raise a desktop
+ *     notification, whether to store the message, and the sound to play (`none` for silence).
+ */
+export const evaluateRules = (message, storedRules, date = new Date()) => {
+    const rules = getRules(storedRules);
+    const priority = message.priority || 3;
+
+    const include = parseTerms(rules.include);
+    const exclude = parseTerms(rules.exclude);
+    const passesFilters = priority >= rules.minPriority
+        && (include.length === 0 || include.some(term => matchesTerm(message, term)))
+        && !exclude.some(term => matchesTerm(message, term));
+
+    const quiet = rules.quietHours.enabled
+        && isInQuietHours(rules.quietHours, date)
+        && !(rules.quietHours.allowUrgent && priority === 5);
+
+    const notify = passesFilters && !quiet && !isSilenced(rules, date.getTime());
+    return {
+        notify,
+        store: passesFilters || rules.filtered === 'store',
+        sound: notify ? rules.sounds[priority] : 'none',
+    };
+};
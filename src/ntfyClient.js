@@ -0,0 +1,316 @@
+/**
+ * A framework-agnostic client for one ntfy server: subscribing to topics with automatic
+ * transport fallback and reconnects, polling cached messages, publishing and measuring
+ * delivery time. It has no React dependency; see `hooks.js` for hooks built on top of it.
+ *
+ *     const client = createClient({ server: 'https://ntfy.sh', auth: { type: 'token', token: 'tk_...' } });
+ *     const subscription = client.subscribe('alerts', { onMessage: (message) => console.log(message.message) });
+ *     await client.publish('alerts', { title: 'Backup', message: 'Backup finished' });
+ *     subscription.close();
+ */
+
+import { DEFAULT_PUBLISH_OPTIONS, buildPublishHeaders, encodeBase64, encodeHeaderValue, readPublishError, sendWithProgress } from './publish.js';
+import { connect, getTransportLabel, getTransportOrder } from './transports.js';
+
+/**
+ * Credentials for a server.
+ * @typedef {{type: 'token', token: string}|{type: 'basic', username: string, password: string}} NtfyAuth
+ */
+
+/**
+ * A message as the server sends it. Fields other than `id`, `time`, `event`, `topic`
+ * and `message` are only present when they were set when publishing.
+ * @typedef {Object} NtfyMessage
+ * @property {string} id - The message id.
+ * @property {number} time - When the message was published, or is due when delayed, in Unix seconds.
+ * @property {number} [expires] - When the server drops the message from its cache, in Unix seconds.
+ * @property {'message'} event - Always `message`.
+ * @property {string} topic - The topic.
+ * @property {string} message - The body.
+ * @property {string} [title] - The title.
+ * @property {number} [priority] - 1 (min) to 5 (urgent); missing means 3.
+ * @property {string[]} [tags] - Tags; emoji shortcodes are shown as emojis.
+ * @property {string} [click] - The URL opened when the notification is clicked.
+ * @property {string} [icon] - The URL of the notification icon.
+ * @property {object[]} [actions] - Action buttons.
+ * @property {{name: string, url: string, type?: string, size?: number, expires?: number}} [attachment] - An attached file.
+ */
+
+/**
+ * A stream event that isn't a message.
+ * @typedef {Object} NtfyStreamEvent
+ * @property {string} transport - The transport the event arrived on, see `TRANSPORTS`.
+ * @property {object} frame - The event as the server sent it, e.g. `{id, time, event: 'open', topic}`.
+ * @property {number} [latency] - For `open` events, the milliseconds from starting the connection until it opened.
+ */
+
+// Reconnect backoff bounds in milliseconds.
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+// How long a round-trip test waits for its message to come back.
+const ROUND_TRIP_TIMEOUT = 30000;
+
+/**
+ * Builds the `Authorization` header value for the stored credentials of a server.
+ * @param {NtfyAuth|null|undefined} auth - The credentials.
+ * @returns {string|null} The header value, or null when the server has no credentials.
+ */
+export const getAuthorization = (auth) => {
+    if (auth?.type === 'token') {
+        return `Bearer ${auth.token}`;
+    }
+    if (auth?.type === 'basic') {
+        return `Basic ${encodeBase64(`${auth.username}:${auth.password}`)}`;
+    }
+    return null;
+};
+
+// HTTP statuses ntfy answers with when credentials are missing or lack access to a topic.
+export const isUnauthorizedStatus = (status) => status === 401 || status === 403;
+
+/**
+ * Parses a newline-delimited JSON response, such as the result of a `poll=1` request,
+ * into the messages it contains. Other events and unparsable lines are skipped.
+ * @param {string} text - The response body.
+ * @returns {NtfyMessage[]} The messages, oldest first.
+ */
+export const parseMessageLines = (text) => text.split('\n').flatMap(line => {
+    if (line.trim() === '') return [];
+    try {
+        const parsedData = JSON.parse(line);
+        return parsedData.id && parsedData.message ? [parsedData] : [];
+    } catch (e) {
+        console.error('Failed to parse message JSON from poll response:', line, e);
+        return [];
+    }
+});
+
+/**
+ * Returns the delay before the next reconnect attempt: exponential backoff capped at
+ * `RETRY_MAX_DELAY`, with random jitter so many clients don't reconnect in lockstep.
+ * @param {number} attempt - The number of failed attempts so far, starting at 0.
+ */
+export const getRetryDelay = (attempt) => {
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+    return Math.round(delay * (0.5 + Math.random() * 0.5));
+};
+
+/**
+ * Waits before a reconnect attempt. The wait ends early when the stream is aborted
+ * or when `stream.wake()` is called, e.g. because the browser came back online.
+ * @param {number} delay - The time to wait in milliseconds.
+ * @param {{signal: AbortSignal, wake: ?function}} stream - The stream that is waiting.
+ */
+const waitForRetry = (delay, stream) => new Promise(resolve => {
+    const done = () => {
+        clearTimeout(timer);
+        stream.signal.removeEventListener('abort', done);
+        stream.wake = null;
+        resolve();
+    };
+    const timer = setTimeout(done, delay);
+    stream.signal.addEventListener('abort', done);
+    stream.wake = done;
+});
+
+/**
+ * Creates a client for one server.
+ * @param {{server: string, auth?: NtfyAuth, transport?: string}} options - The server URL, its
+ *     credentials and the preferred transport, `auto` for the default order.
+ */
+export const createClient = ({ server, auth = null, transport = 'auto' }) => {
+    const baseUrl = server.replace(/\/$/, '');
+    const authorization = getAuthorization(auth);
+    const authHeaders = authorization ? { 'Authorization': authorization } : {};
+
+    /**
+     * Fetches the messages the server still has cached for a topic with a one-off
+     * `poll=1` request instead of a stream.
+     * @param {string} topic - The topic.
+     * @param {{since?: string, scheduled?: boolean, signal?: AbortSignal}} [options] - `since` is a duration
+     *     like `10m`, a Unix timestamp, a message id or `all`; `scheduled` includes delayed messages
+     *     that weren't delivered yet.
+     * @returns {Promise<NtfyMessage[]>} The messages, oldest first.
+     * @throws {Error} With `status` set when the server rejects the request.
+     */
+    const poll = async (topic, { since = 'all', scheduled = false, signal } = {}) => {
+        const response = await fetch(`${baseUrl}/${topic}/json?poll=1&since=${encodeURIComponent(since)}${scheduled ? '&sched=1' : ''}`, {
+            signal,
+            cache: 'no-store',
+            headers: authHeaders
+        });
+        if (!response.ok) {
+            const error = new Error(`Polling failed: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return parseMessageLines(await response.text()).map(msg => ({ ...msg, topic: msg.topic || topic }));
+    };
+
+    /**
+     * Publishes a message. With an attachment, the file is PUT as the request body and
+     * the message text moves to the `Message` header.
+     * @param {string} topic - The topic.
+     * @param {{title?: string, message?: string, options?: object, attachment?: File, onProgress?: function(number)}} message - The
+     *     message; `options` are composer options, see `DEFAULT_PUBLISH_OPTIONS`, missing ones use the defaults.
+     *     `onProgress` receives the uploaded fraction of the attachment.
+     * @returns {Promise<NtfyMessage>} The published message as the server returns it.
+     * @throws {Error} With `status` set when the server rejects the message.
+     */
+    const publish = async (topic, { title = '', message = '', options = {}, attachment = null, onProgress = () => {} }) => {
+        const headers = { ...buildPublishHeaders(title, { ...DEFAULT_PUBLISH_OPTIONS, ...options }), ...authHeaders };
+        let response;
+        if (attachment) {
+            headers['Filename'] = encodeHeaderValue(attachment.name);
+            if (message.trim()) {
+                headers['Message'] = encodeHeaderValue(message);
+            }
+            response = await sendWithProgress(`${baseUrl}/${topic}`, { method: 'PUT', body: attachment, headers, onProgress });
+        } else {
+            response = await fetch(`${baseUrl}/${topic}`, { method: 'POST', body: message, headers });
+        }
+        if (!response.ok) {
+            const error = new Error(await readPublishError(response));
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    };
+
+    /**
+     * Keeps a topic subscribed using the preferred transport. A transport that fails before
+     * it opens is replaced by the next one right away; otherwise the stream reconnects with
+     * backoff, asking for everything since `since()` so nothing published in between is lost.
+     * Bad credentials end the subscription, since retrying can't help.
+     * @param {string} topic - The topic.
+     * @param {Object} handlers - The options and event handlers.
+     * @param {function(): ?string} [handlers.since] - Returns the `since=` value for the next connect,
+     *     usually the id of the last received message.
+     * @param {AbortSignal} [handlers.signal] - Ends the subscription when aborted.
+     * @param {function(NtfyStreamEvent): void} [handlers.onOpen] - Called when a connection opens.
+     * @param {function(NtfyStreamEvent): void} [handlers.onKeepalive] - Called for every keepalive.
+     * @param {function(NtfyMessage): void} [handlers.onMessage] - Called for every message.
+     * @param {function({transport: string, error: ?Error, unauthorized: boolean}): void} [handlers.onClose] - Called
+     *     when a connection ends; `error` is null when the server closed it.
+     * @param {function({retryAt: number}): void} [handlers.onRetry] - Called before waiting to reconnect.
+     * @returns {{wake: function(): void, close: function(): void, done: Promise<void>}} `wake` reconnects
+     *     right away instead of waiting out the backoff; `done` resolves when the subscription has ended.
+     */
+    const subscribe = (topic, { since = () => null, signal, onOpen = () => {}, onKeepalive = () => {}, onMessage = () => {}, onClose = () => {}, onRetry = () => {} } = {}) => {
+        const controller = new AbortController();
+        signal?.addEventListener('abort', () => controller.abort());
+        const stream = { signal: controller.signal, wake: null };
+        const transports = getTransportOrder(transport);
+
+        const run = async () => {
+            let transportIndex = 0;
+            let attempt = 0;
+
+            while (!controller.signal.aborted) {
+                const current = transports[transportIndex];
+                const startedAt = Date.now();
+                let opened = false;
+
+                try {
+                    await connect(current, {
+                        server: baseUrl,
+                        topic,
+                        since: since(),
+                        authorization,
+                        signal: controller.signal,
+                        onOpen: (frame) => {
+                            opened = true;
+                            attempt = 0;
+                            onOpen({ transport: current, frame, latency: Date.now() - startedAt });
+                        },
+                        onKeepalive: (frame) => onKeepalive({ transport: current, frame }),
+                        onMessage: (parsedData) => onMessage({ ...parsedData, topic: parsedData.topic || topic }),
+                    });
+                    onClose({ transport: current, error: null, unauthorized: false });
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    if (isUnauthorizedStatus(error.status)) {
+                        onClose({ transport: current, error, unauthorized: true });
+                        return;
+                    }
+                    console.error(`Subscription to ${baseUrl}/${topic} via ${getTransportLabel(current)} failed.`, error);
+                    onClose({ transport: current, error, unauthorized: false });
+
+                    // Fall back to the next transport without waiting until every transport has been tried.
+                    if (!opened) {
+                        transportIndex = (transportIndex + 1) % transports.length;
+                        if (transportIndex !== 0) continue;
+                    }
+                }
+
+                if (controller.signal.aborted) return;
+                const delay = getRetryDelay(attempt++);
+                onRetry({ retryAt: Date.now() + delay });
+                await waitForRetry(delay, stream);
+            }
+        };
+
+        return {
+            wake: () => stream.wake?.(),
+            close: () => controller.abort(),
+            done: run(),
+        };
+    };
+
+    /**
+     * Measures end-to-end delivery: opens a separate subscription to a topic, publishes a
+     * test message to it once the subscription is open and waits for the message to arrive.
+     * @param {string} topic - The topic; the test message is delivered to all its subscribers.
+     * @param {{timeout?: number}} [options] - How long to wait for the message, in milliseconds.
+     * @returns {Promise<{publish: number, roundTrip: number}>} The milliseconds until the server
+     *     accepted the message and until it was received, both counted from publishing.
+     * @throws {Error} When publishing fails, the credentials are rejected or the message doesn't arrive in time.
+     */
+    const testRoundTrip = (topic, { timeout = ROUND_TRIP_TIMEOUT } = {}) => new Promise((resolve, reject) => {
+        const controller = new AbortController();
+        // Receive times by message id, since the message can arrive before the publish request returns.
+        const received = new Map();
+        let startedAt = null;
+        let published = null;
+
+        const finish = (error) => {
+            clearTimeout(timer);
+            controller.abort();
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ publish: published.acceptedAt - startedAt, roundTrip: received.get(published.id) - startedAt });
+            }
+        };
+        const timer = setTimeout(() => finish(new Error(`The test message didn't arrive within ${timeout / 1000} seconds.`)), timeout);
+
+        subscribe(topic, {
+            signal: controller.signal,
+            onOpen: async () => {
+                // A reconnect of the test subscription doesn't publish again.
+                if (startedAt !== null) return;
+                startedAt = Date.now();
+                try {
+                    const message = await publish(topic, {
+                        title: 'Round-trip test',
+                        message: `Round-trip test sent at ${new Date(startedAt).toLocaleTimeString()}.`,
+                        options: { priority: 1, tags: 'stopwatch' },
+                    });
+                    published = { id: message.id, acceptedAt: Date.now() };
+                    if (received.has(published.id)) finish(null);
+                } catch (error) {
+                    finish(error);
+                }
+            },
+            onMessage: (message) => {
+                received.set(message.id, Date.now());
+                if (message.id === published?.id) finish(null);
+            },
+            onClose: ({ error, unauthorized }) => {
+                if (unauthorized) finish(error);
+            },
+        });
+    });
+
+    return { server: baseUrl, authorization, poll, publish, subscribe, testRoundTrip };
+};
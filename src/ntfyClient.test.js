@@ -0,0 +1,312 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createClient, getAuthorization, isUnauthorizedStatus, parseMessageLines } from './ntfyClient.js';
+import { TestEventSource } from './test/eventSource.js';
+import { startMockServer } from './test/mockNtfyServer.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits until `check` returns something truthy, failing after `timeout` milliseconds.
+const waitFor = async (check, timeout = 2000) => {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the condition.');
+        await sleep(10);
+    }
+};
+
+describe('getAuthorization', () => {
+    it('builds a bearer header for tokens', () => {
+        expect(getAuthorization({ type: 'token', token: 'tk_abc' })).toBe('Bearer tk_abc');
+    });
+
+    it('builds a basic header, encoding the credentials as UTF-8', () => {
+        expect(getAuthorization({ type: 'basic', username: 'phil', password: 'secret' })).toBe(`Basic ${btoa('phil:secret')}`);
+        expect(getAuthorization({ type: 'basic', username: 'jörg', password: 'pw' })).toBe('Basic asO2cmc6cHc=');
+    });
+
+    it('returns null without credentials', () => {
+        expect(getAuthorization(null)).toBeNull();
+        expect(getAuthorization(undefined)).toBeNull();
+    });
+});
+
+describe('isUnauthorizedStatus', () => {
+    it('matches 401 and 403 only', () => {
+        expect(isUnauthorizedStatus(401)).toBe(true);
+        expect(isUnauthorizedStatus(403)).toBe(true);
+        expect(isUnauthorizedStatus(404)).toBe(false);
+        expect(isUnauthorizedStatus(undefined)).toBe(false);
+    });
+});
+
+describe('parseMessageLines', () => {
+    it('keeps only frames with an id and a message, oldest first', () => {
+        const text = [
+            JSON.stringify({ id: 'o', event: 'open', topic: 't' }),
+            JSON.stringify({ id: 'a', event: 'message', message: 'first' }),
+            '',
+            JSON.stringify({ id: 'k', event: 'keepalive' }),
+            JSON.stringify({ event: 'message', message: 'no id' }),
+            JSON.stringify({ id: 'b', event: 'message', message: 'second' }),
+        ].join('\n');
+        expect(parseMessageLines(text).map(msg => msg.id)).toEqual(['a', 'b']);
+    });
+
+    it('skips lines that are not JSON', () => {
+        const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+        expect(parseMessageLines(`{"id":"a","message":"ok"}\n{broken\n`)).toEqual([{ id: 'a', message: 'ok' }]);
+        expect(spy).toHaveBeenCalledOnce();
+        spy.mockRestore();
+    });
+});
+
+describe('createClient', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+        server = await startMockServer();
+        client = createClient({ server: `${server.url}/`, auth: { type: 'token', token: 'tk_test' }, transport: 'json' });
+    });
+
+    afterEach(async () => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        await server.close();
+    });
+
+    describe('subscribe', () => {
+        // Subscribes with recording handlers and waits until the stream is open.
+        const subscribe = async (topic = 'alerts', options = {}) => {
+            const events = { opened: [], messages: [], closed: [] };
+            const subscription = client.subscribe(topic, {
+                onOpen: (event) => events.opened.push(event),
+                onMessage: (message) => events.messages.push(message),
+                onClose: (event) => events.closed.push(event),
+                ...options,
+            });
+            await waitFor(() => events.opened.length > 0 || events.closed.length > 0);
+            return { subscription, events };
+        };
+
+        it('reports the open frame and sends the credentials and since', async () => {
+            const { subscription, events } = await subscribe('alerts', { since: () => 'abc123' });
+            expect(events.opened[0]).toMatchObject({ transport: 'json', frame: { event: 'open', topic: 'alerts' } });
+            expect(server.requests[0].url.pathname).toBe('/alerts/json');
+            expect(server.requests[0].url.searchParams.get('since')).toBe('abc123');
+            expect(server.requests[0].headers.authorization).toBe('Bearer tk_test');
+            subscription.close();
+            await subscription.done;
+        });
+
+        it('buffers a JSON line split across chunks', async () => {
+            const { subscription, events } = await subscribe();
+            const line = JSON.stringify({ id: 'split', time: 2, event: 'message', topic: 'alerts', message: 'Hällo wörld' });
+            // Split inside the multi-byte ö as well as inside the JSON.
+            const bytes = Buffer.from(`${line}\n`);
+            const cut = bytes.indexOf(Buffer.from('ö')) + 1;
+            server.streams.forEach(stream => stream.write(bytes.subarray(0, cut)));
+            await sleep(50);
+            expect(events.messages).toEqual([]);
+            server.streams.forEach(stream => stream.write(bytes.subarray(cut)));
+            await waitFor(() => events.messages.length > 0);
+            expect(events.messages).toEqual([{ id: 'split', time: 2, event: 'message', topic: 'alerts', message: 'Hällo wörld' }]);
+            subscription.close();
+            await subscription.done;
+        });
+
+        it('handles several frames in one chunk', async () => {
+            const { subscription, events } = await subscribe();
+            server.write(`${JSON.stringify({ id: 'a', event: 'message', message: 'one' })}\n${JSON.stringify({ id: 'b', event: 'message', message: 'two' })}\n`);
+            await waitFor(() => events.messages.length === 2);
+            // Frames without a topic get the subscribed one.
+            expect(events.messages.map(msg => [msg.id, msg.topic])).toEqual([['a', 'alerts'], ['b', 'alerts']]);
+            subscription.close();
+            await subscription.done;
+        });
+
+        it('drops frames without an id or a message', async () => {
+            const keepalives = [];
+            const { subscription, events } = await subscribe('alerts', { onKeepalive: (event) => keepalives.push(event) });
+            server.send({ id: 'k', event: 'keepalive', topic: 'alerts' });
+            server.send({ event: 'message', message: 'no id' });
+            server.send({ id: 'empty', event: 'message', message: '' });
+            server.send({ id: 'ok', event: 'message', message: 'kept' });
+            await waitFor(() => events.messages.length > 0);
+            expect(events.messages.map(msg => msg.id)).toEqual(['ok']);
+            expect(keepalives).toHaveLength(1);
+            subscription.close();
+            await subscription.done;
+        });
+
+        it.each([401, 403])('stops without retrying on HTTP %i', async (status) => {
+            server.fail(status);
+            const retries = [];
+            const { subscription, events } = await subscribe('alerts', { onRetry: (event) => retries.push(event) });
+            await subscription.done;
+            expect(events.opened).toEqual([]);
+            expect(events.closed).toHaveLength(1);
+            expect(events.closed[0]).toMatchObject({ transport: 'json', unauthorized: true, error: { status } });
+            expect(retries).toEqual([]);
+            expect(server.requests).toHaveLength(1);
+        });
+
+        it('falls back to the next transport when the preferred one fails to open', async () => {
+            const urls = [];
+            vi.stubGlobal('WebSocket', class {
+                constructor(url) {
+                    urls.push(url);
+                    setTimeout(() => {
+                        this.onerror?.();
+                        this.onclose?.({ code: 1006 });
+                    }, 0);
+                }
+
+                close() {}
+            });
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            client = createClient({ server: server.url, auth: { type: 'token', token: 'tk_test' }, transport: 'ws' });
+            const { subscription, events } = await subscribe();
+
+            expect(urls).toHaveLength(1);
+            expect(new URL(urls[0]).protocol).toBe('ws:');
+            // WebSockets can't send headers, so the credentials go into the `auth` parameter.
+            expect(new URL(urls[0]).searchParams.get('auth')).toBe(btoa('Bearer tk_test').replace(/=+$/, ''));
+            expect(events.closed[0]).toMatchObject({ transport: 'ws', unauthorized: false });
+            expect(events.opened[0].transport).toBe('json');
+            subscription.close();
+            await subscription.done;
+        });
+
+        it('reconnects after a dropped stream, asking for everything since the last message', async () => {
+            let lastId = null;
+            const retries = [];
+            const { subscription, events } = await subscribe('alerts', {
+                since: () => lastId,
+                onMessage: (message) => {
+                    lastId = message.id;
+                    events.messages.push(message);
+                },
+                onRetry: (event) => retries.push(event),
+            });
+            server.send({ id: 'm1', time: 2, event: 'message', topic: 'alerts', message: 'before the drop' });
+            await waitFor(() => events.messages.length > 0);
+
+            server.drop();
+            await waitFor(() => retries.length > 0);
+            expect(events.closed[0]).toMatchObject({ transport: 'json', error: null, unauthorized: false });
+            // Skip the backoff the way the app does when the network comes back.
+            subscription.wake();
+            await waitFor(() => events.opened.length === 2);
+
+            expect(server.requests).toHaveLength(2);
+            expect(server.requests[0].url.searchParams.has('since')).toBe(false);
+            expect(server.requests[1].url.searchParams.get('since')).toBe('m1');
+            server.send({ id: 'm2', time: 3, event: 'message', topic: 'alerts', message: 'after the drop' });
+            await waitFor(() => events.messages.length === 2);
+            expect(events.messages.map(msg => msg.id)).toEqual(['m1', 'm2']);
+            subscription.close();
+            await subscription.done;
+        });
+
+        it('receives messages over server-sent events', async () => {
+            vi.stubGlobal('EventSource', TestEventSource);
+            const keepalives = [];
+            client = createClient({ server: server.url, auth: { type: 'token', token: 'tk_test' }, transport: 'sse' });
+            const { subscription, events } = await subscribe('alerts', { since: () => 'abc123', onKeepalive: (event) => keepalives.push(event) });
+
+            expect(events.opened[0]).toMatchObject({ transport: 'sse', frame: { event: 'open', topic: 'alerts' } });
+            const { url } = server.requests[0];
+            expect(url.pathname).toBe('/alerts/sse');
+            expect(url.searchParams.get('since')).toBe('abc123');
+            // EventSource can't send headers either.
+            expect(url.searchParams.get('auth')).toBe(btoa('Bearer tk_test').replace(/=+$/, ''));
+
+            server.send({ id: 'k', event: 'keepalive', topic: 'alerts' });
+            server.send({ id: 'm1', time: 2, event: 'message', topic: 'alerts', message: 'over SSE' });
+            await waitFor(() => events.messages.length > 0);
+            expect(events.messages).toEqual([{ id: 'm1', time: 2, event: 'message', topic: 'alerts', message: 'over SSE' }]);
+            expect(keepalives).toHaveLength(1);
+            subscription.close();
+            await subscription.done;
+        });
+    });
+
+    describe('testRoundTrip', () => {
+        it('publishes once the test subscription is open and times the message', async () => {
+            const result = await client.testRoundTrip('alerts');
+            expect(result.publish).toBeGreaterThanOrEqual(0);
+            expect(result.roundTrip).toBeGreaterThanOrEqual(0);
+
+            const posts = server.requests.filter(request => request.method === 'POST');
+            expect(posts).toHaveLength(1);
+            expect(posts[0].url.pathname).toBe('/alerts');
+            expect(posts[0].headers.title).toBe('Round-trip test');
+            // The test subscription is closed once the message arrived.
+            await waitFor(() => server.streams.size === 0);
+        });
+
+        it('rejects when the server refuses the credentials', async () => {
+            server.fail(403);
+            await expect(client.testRoundTrip('alerts')).rejects.toMatchObject({ status: 403 });
+            expect(server.requests.filter(request => request.method === 'POST')).toEqual([]);
+        });
+
+        it('rejects when the message does not arrive in time', async () => {
+            // The stream opens but never delivers the published message.
+            vi.spyOn(server.streams, 'forEach').mockImplementation(() => {});
+            await expect(client.testRoundTrip('alerts', { timeout: 200 })).rejects.toThrow("didn't arrive within");
+        });
+    });
+
+    describe('poll', () => {
+        it('returns the cached messages with their topic', async () => {
+            server.cached.push(
+                { id: 'a', time: 1, event: 'message', message: 'one' },
+                { id: 'b', time: 2, event: 'message', topic: 'alerts', message: 'two' },
+            );
+            const messages = await client.poll('alerts', { since: '10m', scheduled: true });
+            expect(messages.map(msg => [msg.id, msg.topic])).toEqual([['a', 'alerts'], ['b', 'alerts']]);
+            const { url, headers } = server.requests[0];
+            expect(url.searchParams.get('poll')).toBe('1');
+            expect(url.searchParams.get('since')).toBe('10m');
+            expect(url.searchParams.get('sched')).toBe('1');
+            expect(headers.authorization).toBe('Bearer tk_test');
+        });
+
+        it('rejects with the status when the server refuses', async () => {
+            server.fail(403);
+            await expect(client.poll('alerts')).rejects.toMatchObject({ status: 403 });
+        });
+    });
+
+    describe('publish', () => {
+        it('sends the message with its headers', async () => {
+            const published = await client.publish('alerts', {
+                title: 'Backup ✓',
+                message: 'Backup finished',
+                options: { priority: 4, tags: 'warning, :skull:', click: 'https://example.com' },
+            });
+            expect(published).toMatchObject({ topic: 'alerts', message: 'Backup finished' });
+
+            const { method, url, headers, body } = server.requests[0];
+            expect(method).toBe('POST');
+            expect(url.pathname).toBe('/alerts');
+            expect(body).toBe('Backup finished');
+            expect(headers.priority).toBe('4');
+            expect(headers.tags).toBe('warning,skull');
+            expect(headers.click).toBe('https://example.com');
+            expect(headers.authorization).toBe('Bearer tk_test');
+            // Non-ASCII header values are sent as RFC 2047 encoded words.
+            expect(headers.title).toBe(`=?UTF-8?B?${Buffer.from('Backup ✓').toString('base64')}?=`);
+            expect(headers.delay).toBeUndefined();
+        });
+
+        it('rejects with the server error and status', async () => {
+            server.fail(403);
+            const error = await client.publish('alerts', { message: 'hi' }).catch(e => e);
+            expect(error.status).toBe(403);
+            expect(error.message).toBe('forbidden (403)');
+        });
+    });
+});
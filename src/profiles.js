@@ -0,0 +1,93 @@
+/**
+ * Server profiles. Each profile is a named server with its own credentials, preferred
+ * transport and list of subscriptions; the client is connected to one profile at a time.
+ *
+ * A profile looks like:
+ *     { id, name, url, auth, transport, subscriptions: [{ topic, enabled, webPush, rules, retention }] }
+ * where `auth` is null, `{ type: 'token', token }` or `{ type: 'basic', username, password }`.
+ */
+
+import { createId, readStorage } from './storage.js';
+
+export const DEFAULT_SERVER = 'https://ntfy.sh';
+
+// ntfy only accepts topic names made of letters, digits, dashes and underscores.
+export const TOPIC_REGEX = /^[-_A-Za-z0-9]{1,64}$/;
+
+/**
+ * Returns a display name for a server URL, e.g. `ntfy.example.com`.
+ * @param {string} url - The server URL.
+ */
+export const getServerName = (url) => {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return url;
+    }
+};
+
+/**
+ * Creates a profile without subscriptions.
+ * @param {string} url - The server URL.
+ * @param {Object} [settings] - Other profile fields to set.
+ */
+export const createProfile = (url, settings = {}) => ({
+    id: createId(),
+    name: getServerName(url),
+    url,
+    auth: null,
+    transport: 'auto',
+    subscriptions: [],
+    ...settings,
+});
+
+/**
+ * Reads the subscriptions stored before there were profiles. On first run the old
+ * single-topic keys (`ntfy-latest-topic` and `ntfy-previous-topics`) are turned into
+ * subscriptions, with only the latest topic enabled.
+ * @returns {{topic: string, enabled: boolean}[]}
+ */
+const loadLegacySubscriptions = () => {
+    const stored = readStorage('ntfy-subscriptions', null);
+    if (Array.isArray(stored)) return stored;
+
+    let latestTopic = null;
+    try {
+        latestTopic = localStorage.getItem('ntfy-latest-topic');
+    } catch (error) {
+        console.error("Failed to load latest topic from localStorage", error);
+    }
+    const previousTopics = readStorage('ntfy-previous-topics', []);
+    const topics = [latestTopic, ...previousTopics].filter((t, i, all) => t && all.indexOf(t) === i);
+    return topics.map(t => ({ topic: t, enabled: t === latestTopic }));
+};
+
+/**
+ * Loads the server profiles. Settings stored before there were profiles are moved into
+ * them: the subscriptions with their rules and retention go to a profile for the default
+ * server, which the client always started on, and every other server that had
+ * credentials or a transport setting gets a profile of its own.
+ * @returns {object[]}
+ */
+export const loadProfiles = () => {
+    const stored = readStorage('ntfy-servers', null);
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+
+    const credentials = readStorage('ntfy-credentials', {});
+    const transports = readStorage('ntfy-transports', {});
+    const rules = readStorage('ntfy-notification-rules', {});
+    const retention = readStorage('ntfy-retention', {});
+    const subscriptions = loadLegacySubscriptions().map(sub => ({
+        ...sub,
+        ...(rules[sub.topic] ? { rules: rules[sub.topic] } : {}),
+        ...(retention[sub.topic] ? { retention: retention[sub.topic] } : {}),
+    }));
+
+    const urls = [DEFAULT_SERVER, ...Object.keys(credentials), ...Object.keys(transports)]
+        .filter((url, i, all) => all.indexOf(url) === i);
+    return urls.map(url => createProfile(url, {
+        auth: credentials[url] || null,
+        transport: transports[url] || 'auto',
+        subscriptions: url === DEFAULT_SERVER ? subscriptions : [],
+    }));
+};
@@ -0,0 +1,158 @@
+/**
+ * Helpers for publishing messages with the header-based ntfy publish API.
+ * See https://docs.ntfy.sh/publish/ for what each header does.
+ */
+
+export const PRIORITIES = [
+    { value: 1, name: 'min', label: 'Min' },
+    { value: 2, name: 'low', label: 'Low' },
+    { value: 3, name: 'default', label: 'Default' },
+    { value: 4, name: 'high', label: 'High' },
+    { value: 5, name: 'urgent', label: 'Urgent' },
+];
+
+// ntfy rejects messages with more than three action buttons.
+export const MAX_ACTIONS = 3;
+
+export const ACTION_TYPES = ['view', 'http', 'broadcast'];
+
+export const DEFAULT_PUBLISH_OPTIONS = {
+    priority: 3,
+    tags: '',
+    click: '',
+    icon: '',
+    delay: '',
+    at: '',
+    email: '',
+    markdown: false,
+    actions: [],
+};
+
+/**
+ * Returns a new, empty action button of the given type.
+ * @param {'view'|'http'|'broadcast'} action - The action type.
+ */
+export const createAction = (action = 'view') => ({
+    action,
+    label: '',
+    url: '',
+    method: 'POST',
+    body: '',
+    intent: '',
+    clear: false,
+});
+
+/**
+ * Base64-encodes a string as UTF-8. `btoa` alone only accepts Latin-1.
+ * @param {string} text - The text to encode.
+ */
+export const encodeBase64 = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    return btoa(String.fromCharCode(...bytes));
+};
+
+/**
+ * Makes a header value safe to send. `fetch` rejects non-ASCII header values, so
+ * those are sent as RFC 2047 encoded words, which ntfy decodes.
+ * @param {string} value - The header value.
+ */
+export const encodeHeaderValue = (value) => (
+    /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${encodeBase64(value)}?=`
+);
+
+/**
+ * Splits a comma separated tag list. Emoji shortcodes may be written with or
+ * without surrounding colons.
+ * @param {string} text - The tags as typed, e.g. `warning, :skull:, backup`.
+ * @returns {string[]}
+ */
+export const parseTags = (text) => text
+    .split(',')
+    .map(tag => tag.trim().replace(/^:|:$/g, ''))
+    .filter(Boolean);
+
+/**
+ * Converts an action button from the composer into ntfy's JSON action format.
+ * @param {ReturnType<typeof createAction>} action - The action as edited in the composer.
+ */
+const toNtfyAction = ({ action, label, url, method, body, intent, clear }) => {
+    const result = { action, label: label.trim(), clear };
+    if (action === 'view' || action === 'http') {
+        result.url = url.trim();
+    }
+    if (action === 'http') {
+        result.method = method;
+        if (body) result.body = body;
+    }
+    if (action === 'broadcast' && intent.trim()) {
+        result.intent = intent.trim();
+    }
+    return result;
+};
+
+/**
+ * Builds the publish headers for the given composer options.
+ * @param {string} title - The message title, may be empty.
+ * @param {typeof DEFAULT_PUBLISH_OPTIONS} options - The composer options.
+ * @returns {Object<string, string>}
+ */
+export const buildPublishHeaders = (title, options) => {
+    const headers = { 'Priority': String(options.priority) };
+    const tags = parseTags(options.tags);
+
+    if (title.trim()) headers['Title'] = title.trim();
+    if (tags.length > 0) headers['Tags'] = tags.join(',');
+    if (options.click.trim()) headers['Click'] = options.click.trim();
+    if (options.icon.trim()) headers['Icon'] = options.icon.trim();
+    if (options.email.trim()) headers['Email'] = options.email.trim();
+    if (options.markdown) headers['Markdown'] = 'yes';
+
+    // A fixed point in time wins over a relative delay.
+    if (options.at) {
+        headers['At'] = String(Math.floor(new Date(options.at).getTime() / 1000));
+    } else if (options.delay.trim()) {
+        headers['Delay'] = options.delay.trim();
+    }
+
+    const actions = options.actions.filter(action => action.label.trim()).slice(0, MAX_ACTIONS);
+    if (actions.length > 0) {
+        headers['Actions'] = JSON.stringify(actions.map(toNtfyAction));
+    }
+
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, encodeHeaderValue(value)]));
+};
+
+/**
+ * Reads the error message from a failed publish response. ntfy answers with
+ * `{"code": 40013, "http": 400, "error": "..."}`, but proxies may not.
+ * @param {Response} response - The failed response.
+ */
+export const readPublishError = async (response) => {
+    try {
+        const result = await response.json();
+        if (result.error) return `${result.error} (${response.status})`;
+    } catch (error) {
+        // Not a JSON error from ntfy; fall back to the status line below.
+    }
+    return `${response.status} ${response.statusText}`.trim();
+};
+
+/**
+ * Sends a request with `XMLHttpRequest` so upload progress can be reported, which
+ * `fetch` cannot do. Resolves with a `Response` so callers can treat it like `fetch`.
+ * @param {string} url - The URL to send to.
+ * @param {{method: string, body: Blob, headers: Object<string, string>, onProgress: function(number)}} init
+ *     The request options; `onProgress` receives the uploaded fraction between 0 and 1.
+ * @returns {Promise<Response>}
+ */
+export const sendWithProgress = (url, { method, body, headers, onProgress }) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => resolve(new Response(xhr.responseText, { status: xhr.status, statusText: xhr.statusText }));
+    xhr.onerror = () => reject(new Error(`Upload to ${url} failed.`));
+    xhr.send(body);
+});
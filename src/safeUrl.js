@@ -0,0 +1,21 @@
+/**
+ * Checks URLs that come from published messages before they are used as links or
+ * images. Anyone who can publish to a topic controls them, and a `javascript:` URL
+ * would run in this app's origin, next to the stored credentials.
+ */
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Returns whether a URL is absolute and uses `http:`, `https:` or `mailto:`.
+ * @param {*} url - The URL as received.
+ * @returns {boolean}
+ */
+export const isSafeUrl = (url) => {
+    if (typeof url !== 'string') return false;
+    try {
+        return SAFE_PROTOCOLS.includes(new URL(url.trim()).protocol);
+    } catch (error) {
+        return false;
+    }
+};
@@ -0,0 +1,111 @@
+/**
+ * Cron-like schedules for recurring publishes. A schedule has the five fields of a
+ * crontab line, `minute hour day month weekday`, each `*`, a number, a range `a-b`,
+ * a step `*\/n` or `a-b/n`, or a comma separated list of those. Weekdays run from
+ * 0 (Sunday) to 6; 7 is Sunday too. Times are local.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'weekday', min: 0, max: 7 },
+];
+
+export const SCHEDULE_PRESETS = [
+    { label: 'Every hour', value: '0 * * * *' },
+    { label: 'Every day at 9:00', value: '0 9 * * *' },
+    { label: 'Weekdays at 9:00', value: '0 9 * * 1-5' },
+    { label: 'Mondays at 9:00', value: '0 9 * * 1' },
+    { label: 'First of the month at 9:00', value: '0 9 1 * *' },
+];
+
+/**
+ * Parses one field into the set of values it matches.
+ * @param {string} text - The field.
+ * @param {{name: string, min: number, max: number}} field - The field's bounds.
+ * @returns {Set<number>}
+ */
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${name} "${part}".`);
+        const from = match[1] === '*' ? min : Number(match[2]);
+        const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+        const step = match[4] ? Number(match[4]) : 1;
+        if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid ${name} "${part}".`);
+        for (let value = from; value <= to; value += step) {
+            values.add(name === 'weekday' && value === 7 ? 0 : value);
+        }
+    }
+    return values;
+};
+
+/**
+ * Parses a schedule.
+ * @param {string} expression - The schedule, e.g. `0 9 * * 1-5`.
+ * @returns {{minute: Set<number>, hour: Set<number>, day: Set<number>, month: Set<number>, weekday: Set<number>,
+ *     anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} With a message to show when the schedule is invalid.
+ */
+export const parseSchedule = (expression) => {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+        throw new Error('A schedule needs five fields: minute hour day month weekday.');
+    }
+    const schedule = Object.fromEntries(FIELDS.map((field, index) => [field.name, parseField(fields[index], field)]));
+    return { ...schedule, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+};
+
+/**
+ * Whether a date matches a day of a schedule. As in cron, a schedule that restricts
+ * both the day of the month and the weekday matches when either one does.
+ */
+const matchesDay = (schedule, date) => {
+    const day = schedule.day.has(date.getDate());
+    const weekday = schedule.weekday.has(date.getDay());
+    if (schedule.anyDay || schedule.anyWeekday) return day && weekday;
+    return day || weekday;
+};
+
+/**
+ * Whether a schedule is due in the minute of `date`.
+ * @param {ReturnType<typeof parseSchedule>} schedule - The parsed schedule.
+ * @param {Date} date - The time to check.
+ */
+export const isDue = (schedule, date) => (
+    schedule.minute.has(date.getMinutes())
+    && schedule.hour.has(date.getHours())
+    && schedule.month.has(date.getMonth() + 1)
+    && matchesDay(schedule, date)
+);
+
+/**
+ * Returns the next time a schedule is due after `from`, or null when it isn't due
+ * within a year (e.g. for February 30th).
+ * @param {ReturnType<typeof parseSchedule>} schedule - The parsed schedule.
+ * @param {Date} [from] - The time to start from.
+ * @returns {?Date}
+ */
+export const getNextRun = (schedule, from = new Date()) => {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const end = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= end) {
+        if (!schedule.month.has(date.getMonth() + 1) || !matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+};
@@ -0,0 +1,42 @@
+/**
+ * Notification sounds, synthesized with the Web Audio API so no audio files are needed.
+ */
+
+export const SOUNDS = [
+    { value: 'none', label: 'No sound' },
+    { value: 'ding', label: 'Ding' },
+    { value: 'chime', label: 'Chime' },
+    { value: 'alarm', label: 'Alarm' },
+];
+
+// Notes per sound as [frequency in Hz, start offset in seconds, duration in seconds].
+const PATTERNS = {
+    ding: [[880, 0, 0.3]],
+    chime: [[660, 0, 0.2], [880, 0.15, 0.2], [1320, 0.3, 0.4]],
+    alarm: [[960, 0, 0.15], [720, 0.2, 0.15], [960, 0.4, 0.15], [720, 0.6, 0.15], [960, 0.8, 0.15]],
+};
+
+let audioContext = null;
+
+/**
+ * Plays one of the `SOUNDS`. Browsers only allow audio after the user has interacted
+ * with the page, so the first sounds of a session may stay silent.
+ * @param {string} sound - The sound value.
+ */
+export const playSound = (sound) => {
+    const pattern = PATTERNS[sound];
+    if (!pattern || !('AudioContext' in window)) return;
+
+    audioContext = audioContext || new AudioContext();
+    const start = audioContext.currentTime;
+    for (const [frequency, offset, duration] of pattern) {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, start + offset);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + offset + duration);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(start + offset);
+        oscillator.stop(start + offset + duration);
+    }
+};
@@ -0,0 +1,18 @@
+/**
+ * Reads a JSON value from localStorage, falling back to `fallback` when the key
+ * is missing or cannot be parsed.
+ * @param {string} key - The localStorage key.
+ * @param {*} fallback - The value returned when nothing usable is stored.
+ */
+export const readStorage = (key, fallback) => {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+        console.error(`Failed to load ${key} from localStorage`, error);
+        return fallback;
+    }
+};
+
+// Returns a random id for a stored record, e.g. a server profile or a template.
+export const createId = () => Math.random().toString(36).slice(2, 10);
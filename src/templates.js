@@ -0,0 +1,41 @@
+/**
+ * Publish templates. A template holds a title, body, priority, tags and target topic;
+ * any of the text fields may contain `{{variables}}` that are filled in before sending.
+ */
+
+import { createId } from './storage.js';
+
+/**
+ * Creates a template.
+ * @param {{name: string, title: string, message: string, priority: number, tags: string, topic: string}} fields - The template fields.
+ */
+export const createTemplate = (fields) => ({ id: createId(), ...fields });
+
+const VARIABLE_REGEX = /\{\{\s*([-_A-Za-z0-9]+)\s*\}\}/g;
+
+/**
+ * Returns the names of the variables used in a template, in order of first use.
+ * @param {object} template - The template.
+ * @returns {string[]}
+ */
+export const getVariables = (template) => {
+    const text = [template.title, template.message, template.tags, template.topic].join('\n');
+    return [...new Set([...text.matchAll(VARIABLE_REGEX)].map(match => match[1]))];
+};
+
+/**
+ * Replaces the variables in a template's text fields. Variables without a value are left empty.
+ * @param {object} template - The template.
+ * @param {Object<string, string>} values - The values keyed by variable name.
+ * @returns {{title: string, message: string, priority: number, tags: string, topic: string}}
+ */
+export const fillTemplate = (template, values) => {
+    const fill = (text) => (text || '').replace(VARIABLE_REGEX, (match, name) => values[name] ?? '');
+    return {
+        title: fill(template.title),
+        message: fill(template.message),
+        priority: template.priority,
+        tags: fill(template.tags),
+        topic: fill(template.topic).trim(),
+    };
+};
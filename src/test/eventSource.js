@@ -0,0 +1,51 @@
+/**
+ * Just enough of the browser's `EventSource` for tests, on top of `fetch`. Unlike the browser
+ * it never reconnects by itself: when the request fails or the stream ends it calls `onerror`,
+ * which is where the SSE transport gives up and lets the client retry.
+ */
+export class TestEventSource {
+    constructor(url) {
+        this.url = url;
+        this.onmessage = null;
+        this.onerror = null;
+        this.listeners = new Map();
+        this.controller = new AbortController();
+        this.read().catch(() => {
+            if (!this.controller.signal.aborted) this.onerror?.(new Event('error'));
+        });
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.set(type, [...(this.listeners.get(type) || []), listener]);
+    }
+
+    close() {
+        this.controller.abort();
+    }
+
+    async read() {
+        const response = await fetch(this.url, { signal: this.controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            blocks.forEach(block => this.dispatch(block));
+        }
+        throw new Error('The event stream ended.');
+    }
+
+    dispatch(block) {
+        let type = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event: ')) type = line.slice('event: '.length);
+            if (line.startsWith('data: ')) data.push(line.slice('data: '.length));
+        }
+        const event = new MessageEvent(type, { data: data.join('\n') });
+        if (type === 'message') this.onmessage?.(event);
+        (this.listeners.get(type) || []).forEach(listener => listener(event));
+    }
+}
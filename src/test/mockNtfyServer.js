@@ -0,0 +1,104 @@
+/**
+ * A minimal ntfy server for tests. It streams NDJSON on `/<topic>/json` and server-sent events
+ * on `/<topic>/sse`, answers
+ * `poll=1` requests with the messages it was given and records what is published.
+ * Tests can write raw chunks to the open streams to check how the client splits lines.
+ */
+
+import http from 'node:http';
+
+/**
+ * Starts the server on a free local port.
+ * @returns {Promise<{url: string, requests: object[], streams: Set<http.ServerResponse>, cached: object[],
+ *     fail: function(number), write: function(string), send: function(object), drop: function(),
+ *     close: function(): Promise<void>}>} `requests` records `{method, url, headers, body}` for every request;
+ *     `cached` are the messages returned by `poll=1`; `fail(status)` answers every later request with that
+ *     status; `write` sends a raw chunk and `send` one frame in the format of each open stream;
+ *     `drop` ends every open stream as if the connection was lost.
+ */
+export const startMockServer = async () => {
+    const requests = [];
+    const streams = new Set();
+    const cached = [];
+    let failStatus = null;
+    let nextId = 1;
+
+    // Formats a frame as an NDJSON line, or as an event with ntfy's event names for SSE streams.
+    const formatFrame = (stream, frame) => {
+        if (!stream.sse) return JSON.stringify(frame) + '\n';
+        return `${frame.event && frame.event !== 'message' ? `event: ${frame.event}\n` : ''}data: ${JSON.stringify(frame)}\n\n`;
+    };
+    const addStream = (res, topic) => {
+        res.write(formatFrame(res, { id: `open${nextId++}`, time: 1, event: 'open', topic }));
+        streams.add(res);
+        res.on('close', () => streams.delete(res));
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const topic = url.pathname.split('/')[1];
+            requests.push({ method: req.method, url, headers: req.headers, body });
+
+            if (failStatus) {
+                res.writeHead(failStatus, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ code: failStatus * 100, http: failStatus, error: 'forbidden' }));
+                return;
+            }
+
+            if (req.method === 'GET' && url.pathname.endsWith('/json')) {
+                res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+                if (url.searchParams.get('poll') === '1') {
+                    res.end(cached.map(msg => JSON.stringify(msg)).join('\n') + '\n');
+                    return;
+                }
+                addStream(res, topic);
+                return;
+            }
+
+            if (req.method === 'GET' && url.pathname.endsWith('/sse')) {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.sse = true;
+                addStream(res, topic);
+                return;
+            }
+
+            if (req.method === 'POST' || req.method === 'PUT') {
+                const message = {
+                    id: `msg${nextId++}`,
+                    time: Math.floor(Date.now() / 1000),
+                    event: 'message',
+                    topic,
+                    message: req.headers['message'] || body,
+                    ...(req.headers['title'] ? { title: req.headers['title'] } : {}),
+                };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(message));
+                streams.forEach(stream => stream.write(formatFrame(stream, message)));
+                return;
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        streams,
+        cached,
+        fail: (status) => { failStatus = status; },
+        write: (chunk) => streams.forEach(stream => stream.write(chunk)),
+        send: (frame) => streams.forEach(stream => stream.write(formatFrame(stream, frame))),
+        drop: () => streams.forEach(stream => stream.end()),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        }),
+    };
+};
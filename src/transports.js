@@ -0,0 +1,238 @@
+/**
+ * The ways of receiving a topic's messages from a ntfy server: a streamed
+ * newline-delimited JSON response (`/json`), a WebSocket (`/ws`) and server-sent
+ * events (`/sse`). All three share one interface, see `connect`.
+ */
+
+import { encodeBase64 } from './publish.js';
+
+export const TRANSPORTS = [
+    { value: 'json', label: 'JSON stream' },
+    { value: 'ws', label: 'WebSocket' },
+    { value: 'sse', label: 'Server-sent events' },
+];
+
+// How long to wait for the `open` event before giving up on a transport. Proxies that
+// buffer the response deliver nothing at all, so this is what triggers a fallback.
+const OPEN_TIMEOUT = 15000;
+// ntfy sends a keepalive every 45 seconds by default; a connection that stays silent
+// for much longer than that is considered dead.
+const IDLE_TIMEOUT = 120000;
+
+/**
+ * Returns the transports to try, the preferred one first and the others as fallbacks.
+ * @param {string} preferred - A transport value, or `auto` for the default order.
+ * @returns {string[]}
+ */
+export const getTransportOrder = (preferred) => {
+    const all = TRANSPORTS.map(({ value }) => value);
+    return all.includes(preferred) ? [preferred, ...all.filter(value => value !== preferred)] : all;
+};
+
+export const getTransportLabel = (transport) => TRANSPORTS.find(({ value }) => value === transport)?.label || transport;
+
+/**
+ * Encodes an `Authorization` header value as ntfy's `auth` query parameter, which is
+ * the only way to authenticate a WebSocket or an EventSource.
+ * @param {string} authorization - The header value, e.g. `Bearer tk_...`.
+ */
+const toAuthParam = (authorization) => encodeBase64(authorization).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Builds the URL for a transport endpoint of a topic.
+ */
+const buildUrl = ({ server, topic, since, authorization }, endpoint, { websocket = false, withAuth = false } = {}) => {
+    const url = new URL(`${server}/${topic}/${endpoint}`);
+    if (websocket) url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (since) url.searchParams.set('since', since);
+    if (withAuth && authorization) url.searchParams.set('auth', toAuthParam(authorization));
+    return url.toString();
+};
+
+/**
+ * Hands a parsed event to the matching handler. Messages without an id or a body
+ * are ignored, as they always have been.
+ */
+const dispatch = (parsedData, { onOpen, onKeepalive, onMessage }) => {
+    if (parsedData.event === 'open') {
+        onOpen(parsedData);
+    } else if (parsedData.event === 'keepalive') {
+        onKeepalive(parsedData);
+    } else if (parsedData.id && parsedData.message) {
+        onMessage(parsedData);
+    }
+};
+
+const abortError = () => new DOMException('The subscription was aborted.', 'AbortError');
+
+const httpError = (response) => {
+    const error = new Error(`Connection failed: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    return error;
+};
+
+/**
+ * Reads the `/json` endpoint as a `fetch` stream, splitting it into lines by hand.
+ */
+const connectJson = async (options, handlers, signal) => {
+    const response = await fetch(buildUrl(options, 'json'), {
+        signal,
+        cache: 'no-store',
+        headers: options.authorization ? { 'Authorization': options.authorization } : {}
+    });
+    if (!response.ok) throw httpError(response);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim() === '') continue;
+            try {
+                dispatch(JSON.parse(line), handlers);
+            } catch (e) {
+                console.error('Failed to parse message JSON from stream:', line, e);
+            }
+        }
+    }
+};
+
+/**
+ * Connects to the `/ws` endpoint. Browsers don't expose why a WebSocket failed, so
+ * errors carry no HTTP status.
+ */
+const connectWebSocket = (options, handlers, signal) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(buildUrl(options, 'ws', { websocket: true, withAuth: true }));
+    let failed = false;
+
+    const handleAbort = () => {
+        socket.close();
+        reject(abortError());
+    };
+    signal.addEventListener('abort', handleAbort, { once: true });
+
+    socket.onmessage = (e) => {
+        try {
+            dispatch(JSON.parse(e.data), handlers);
+        } catch (error) {
+            console.error('Failed to parse message JSON from WebSocket:', e.data, error);
+        }
+    };
+    socket.onerror = () => {
+        failed = true;
+    };
+    socket.onclose = (e) => {
+        signal.removeEventListener('abort', handleAbort);
+        if (failed) {
+            reject(new Error(`WebSocket connection failed (code ${e.code}).`));
+        } else {
+            resolve();
+        }
+    };
+});
+
+/**
+ * Connects to the `/sse` endpoint with an EventSource. EventSource retries on its own
+ * and hides HTTP statuses, so the first error closes it and reconnecting is left to the caller.
+ */
+const connectEventSource = (options, handlers, signal) => new Promise((resolve, reject) => {
+    const source = new EventSource(buildUrl(options, 'sse', { withAuth: true }));
+
+    const close = () => {
+        source.close();
+        signal.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+        close();
+        reject(abortError());
+    };
+    signal.addEventListener('abort', handleAbort, { once: true });
+
+    // ntfy sends messages as unnamed events and everything else as named events.
+    const handleEvent = (e) => {
+        try {
+            dispatch(JSON.parse(e.data), handlers);
+        } catch (error) {
+            console.error('Failed to parse message JSON from event stream:', e.data, error);
+        }
+    };
+    source.onmessage = handleEvent;
+    source.addEventListener('open', (e) => e.data && handleEvent(e));
+    source.addEventListener('keepalive', handleEvent);
+    source.onerror = () => {
+        close();
+        reject(new Error('Event stream connection failed.'));
+    };
+});
+
+const CONNECTORS = {
+    json: connectJson,
+    ws: connectWebSocket,
+    sse: connectEventSource,
+};
+
+/**
+ * Subscribes to a topic with the given transport.
+ *
+ * The returned promise resolves when the server ends the connection and rejects when
+ * it fails; the error has a `status` when the server answered with an HTTP error. It
+ * rejects with an `AbortError` when `signal` is aborted. A connection that doesn't
+ * deliver its `open` event in time, or goes silent for too long, fails as well.
+ *
+ * @param {'json'|'ws'|'sse'} transport - The transport to use.
+ * @param {Object} options
+ * @param {string} options.server - The server URL without trailing slash.
+ * @param {string} options.topic - The topic.
+ * @param {string} [options.since] - Only deliver messages after this id, duration or timestamp.
+ * @param {string|null} [options.authorization] - The `Authorization` header value.
+ * @param {AbortSignal} options.signal - Aborts the subscription.
+ * @param {function(object)} options.onOpen - Called with the `open` event.
+ * @param {function(object)} options.onKeepalive - Called with each `keepalive` event.
+ * @param {function(object)} options.onMessage - Called with each message.
+ * @returns {Promise<void>}
+ */
+export const connect = async (transport, { signal, onOpen, onKeepalive, onMessage, ...options }) => {
+    if (signal.aborted) throw abortError();
+
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    signal.addEventListener('abort', forwardAbort, { once: true });
+
+    let timedOut = null;
+    let timer = null;
+    const watch = (timeout, reason) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = reason;
+            controller.abort();
+        }, timeout);
+    };
+    // Every event proves the connection is alive.
+    const alive = (handler) => (data) => {
+        watch(IDLE_TIMEOUT, 'No keepalive received for too long.');
+        handler(data);
+    };
+
+    watch(OPEN_TIMEOUT, 'No response from the server in time.');
+    try {
+        await CONNECTORS[transport](options, {
+            onOpen: alive(onOpen),
+            onKeepalive: alive(onKeepalive),
+            onMessage: alive(onMessage),
+        }, controller.signal);
+    } catch (error) {
+        if (timedOut && !signal.aborted) throw new Error(timedOut);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', forwardAbort);
+    }
+};
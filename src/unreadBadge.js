@@ -0,0 +1,70 @@
+/**
+ * Shows the number of unread messages in the tab title and as a badge on the favicon.
+ */
+
+const ICON_URL = '/icon.svg';
+const ICON_SIZE = 64;
+
+const baseTitle = document.title;
+let iconPromise = null;
+// The count the favicon should show, so a slow image load can't apply an outdated one.
+let currentCount = 0;
+
+const loadIcon = () => {
+    if (!iconPromise) {
+        iconPromise = new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Failed to load ${ICON_URL}`));
+            image.src = ICON_URL;
+        });
+    }
+    return iconPromise;
+};
+
+const setFavicon = (href) => {
+    const link = document.querySelector('link[rel="icon"]');
+    if (link) link.href = href;
+};
+
+/**
+ * Draws the app icon with a red badge holding the count.
+ * @param {number} count - The number to show; more than 99 shows as `99+`.
+ * @returns {Promise<string>} The icon as a data URL.
+ */
+const drawBadge = async (count) => {
+    const image = await loadIcon();
+    const canvas = document.createElement('canvas');
+    canvas.width = ICON_SIZE;
+    canvas.height = ICON_SIZE;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, ICON_SIZE, ICON_SIZE);
+    context.beginPath();
+    context.arc(ICON_SIZE * 0.7, ICON_SIZE * 0.3, ICON_SIZE * 0.3, 0, 2 * Math.PI);
+    context.fillStyle = '#ef4444';
+    context.fill();
+    context.fillStyle = '#ffffff';
+    context.font = `bold ${count > 99 ? ICON_SIZE * 0.26 : ICON_SIZE * 0.36}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(count > 99 ? '99+' : String(count), ICON_SIZE * 0.7, ICON_SIZE * 0.32);
+    return canvas.toDataURL('image/png');
+};
+
+/**
+ * Updates the tab title and the favicon for the number of unread messages.
+ * @param {number} count - The number of unread messages; 0 restores the plain title and icon.
+ */
+export const showUnreadCount = (count) => {
+    currentCount = count;
+    document.title = count > 0 ? `(${count}) ${baseTitle}` : baseTitle;
+    if (count === 0) {
+        setFavicon(ICON_URL);
+        return;
+    }
+    drawBadge(count)
+        .then(href => {
+            if (currentCount === count) setFavicon(href);
+        })
+        .catch(error => console.error('Failed to draw the unread badge on the favicon', error));
+};
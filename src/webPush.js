@@ -0,0 +1,108 @@
+/**
+ * Registration of the service worker and of ntfy Web Push subscriptions, which let
+ * the server deliver notifications while the app is closed.
+ * See https://docs.ntfy.sh/config/#web-push for the server side.
+ */
+
+export const isWebPushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window;
+
+/**
+ * Registers the service worker in `public/sw.js`.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = async () => {
+    if (!('serviceWorker' in navigator)) return null;
+    try {
+        return await navigator.serviceWorker.register('/sw.js');
+    } catch (error) {
+        console.error('Failed to register the service worker', error);
+        return null;
+    }
+};
+
+/**
+ * Reads the server's VAPID public key from the `config.js` the ntfy web app is configured
+ * with. Servers without Web Push enabled don't publish one.
+ * @param {string} server - The server URL without trailing slash.
+ * @returns {Promise<string>}
+ */
+const getPublicKey = async (server) => {
+    const response = await fetch(`${server}/config.js`, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Failed to load the server config: ${response.status} ${response.statusText}`);
+    }
+    const key = (await response.text()).match(/web_push_public_key:\s*"([^"]*)"/)?.[1];
+    if (!key) {
+        throw new Error('This server does not have Web Push enabled.');
+    }
+    return key;
+};
+
+/**
+ * Converts a base64url VAPID key into the byte array `pushManager.subscribe` expects.
+ * @param {string} base64 - The key.
+ */
+const toUint8Array = (base64) => {
+    const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+/**
+ * Sends a request to the server's `/v1/webpush` endpoint.
+ */
+const sendWebPushRequest = async (server, method, body, authorization) => {
+    const response = await fetch(`${server}/v1/webpush`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(authorization ? { 'Authorization': authorization } : {}) },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+        throw new Error(`Web Push registration failed: ${response.status} ${response.statusText}`);
+    }
+};
+
+// The server the current push subscription is registered with.
+const SERVER_KEY = 'ntfy-web-push-server';
+
+/**
+ * Makes the server push notifications for exactly the given topics to this browser.
+ * ntfy replaces the topic list of a push endpoint on every call, so all topics are
+ * sent together. An empty list removes the registration.
+ *
+ * A browser holds one push subscription per service worker, tied to one server's VAPID
+ * key, so registering with a different server drops the previous registration.
+ *
+ * @param {string} server - The server URL without trailing slash.
+ * @param {string[]} topics - The topics to receive in the background.
+ * @param {string|null} authorization - The `Authorization` header value.
+ */
+export const updateWebPushTopics = async (server, topics, authorization) => {
+    const registration = await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+    const registeredServer = localStorage.getItem(SERVER_KEY);
+
+    if (subscription && registeredServer && registeredServer !== server) {
+        if (topics.length === 0) return;
+        await subscription.unsubscribe();
+        subscription = null;
+    }
+
+    if (topics.length === 0) {
+        if (subscription) {
+            await sendWebPushRequest(server, 'DELETE', { endpoint: subscription.endpoint }, authorization);
+            await subscription.unsubscribe();
+            localStorage.removeItem(SERVER_KEY);
+        }
+        return;
+    }
+
+    if (!subscription) {
+        subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: toUint8Array(await getPublicKey(server))
+        });
+    }
+    const { endpoint, keys } = subscription.toJSON();
+    await sendWebPushRequest(server, 'POST', { endpoint, auth: keys.auth, p256dh: keys.p256dh, topics }, authorization);
+    localStorage.setItem(SERVER_KEY, server);
+};